@@ -0,0 +1,115 @@
+// Generates the local card database (src/lib/cards/cards.json) from the public card data of
+// https://github.com/PokemonTCG/pokemon-tcg-data, in the shape of the cards of the deck importer.
+// Runs before every build (npm run build). Without a connection the existing file is kept.
+import { writeFile } from 'node:fs/promises';
+
+const SOURCE = 'https://raw.githubusercontent.com/PokemonTCG/pokemon-tcg-data/master';
+const OUTPUT = new URL('./src/lib/cards/cards.json', import.meta.url);
+
+// Set codes as the importer and the format files (src/lib/formats) name them, where the
+// PTCGO code of the data differs
+const SET_CODES = { bwp: 'BWP', xyp: 'XYP', smp: 'SMP', swshp: 'SP', svp: 'SVP', mep: 'MEP' };
+
+const TYPES = {
+  Grass: 'G', Fire: 'R', Water: 'W', Lightning: 'L', Psychic: 'P', Fighting: 'F',
+  Darkness: 'D', Metal: 'M', Fairy: 'Y', Dragon: 'N', Colorless: 'C'
+};
+
+const STAGES = {
+  'Basic': 'basic', 'Stage 1': 'stage 1', 'Stage 2': 'stage 2', 'VMAX': 'vmax', 'VSTAR': 'vstar',
+  'BREAK': 'break', 'MEGA': 'mega', 'Level-Up': 'level up', 'Restored': 'restored'
+};
+
+const TRAINER_TYPES = {
+  'Item': 'item', 'Supporter': 'supporter', 'Stadium': 'stadium',
+  'Pokémon Tool': 'tool', 'Pokémon Tool F': 'tool', 'Technical Machine': 'tool'
+};
+
+// the rule boxes that give more Prize cards (see prizeValue in src/lib/stores/knockout.js), highest first
+const RULE_BOXES = [ 'VMAX', 'V-UNION', 'TAG TEAM', 'VSTAR', 'ex', 'EX', 'GX', 'V', 'Radiant' ];
+
+async function fetchJson(path) {
+  const res = await fetch(`${SOURCE}/${path}`);
+  if (!res.ok) throw new Error(`${path}: ${res.status}`);
+  return res.json();
+}
+
+function setCode(set) {
+  return SET_CODES[set.id] || set.ptcgoCode;
+}
+
+function pokemon(card) {
+  const subtypes = card.subtypes || [];
+  const stage = Object.keys(STAGES).find(subtype => subtypes.includes(subtype));
+  const attacks = card.attacks || [];
+
+  const data = {
+    stage: STAGES[stage],
+    evolves_from: card.evolvesFrom,
+    hp: card.hp,
+    rule_box: RULE_BOXES.find(rule => subtypes.includes(rule)) || (card.name.startsWith('Radiant ') ? 'Radiant' : undefined),
+    types: TYPES[card.types?.[0]],
+    weakness: TYPES[card.weaknesses?.[0]?.type],
+    resistance: TYPES[card.resistances?.[0]?.type],
+    retreat: card.convertedRetreatCost || 0,
+    ability_name: card.abilities?.[0]?.name
+  };
+
+  attacks.slice(0, 3).forEach((attack, i) => {
+    data[`a${i + 1}_name`] = attack.name;
+    data[`a${i + 1}_damage`] = attack.damage;
+  });
+
+  return data;
+}
+
+function toCard(card, code) {
+  const data = {
+    name: card.name,
+    set: code,
+    number: card.number,
+    ...(card.supertype === 'Pokémon' ? pokemon(card) : {}),
+    regulation_mark: card.regulationMark,
+    rarity: card.rarity,
+    card_type: { 'Pokémon': 'pokemon', 'Trainer': 'trainer', 'Energy': 'energy' }[card.supertype],
+    region: 'int'
+  };
+
+  if (card.supertype === 'Trainer') {
+    data.trainer_type = TRAINER_TYPES[(card.subtypes || []).find(subtype => subtype in TRAINER_TYPES)];
+  }
+
+  if (card.supertype === 'Energy') {
+    const basic = card.subtypes?.includes('Basic');
+    data.energy_type = basic ? 'basic' : 'special';
+    if (basic) {
+      // "Basic Grass Energy" in the data, "Grass Energy" in deck lists
+      data.name = card.name.replace(/^Basic /, '');
+      data.types = TYPES[data.name.replace(/ Energy$/, '')];
+    }
+  }
+
+  // leave out what the card doesn't have, as the importer does
+  return Object.fromEntries(Object.entries(data).filter(([ , value ]) => value !== undefined && value !== ''));
+}
+
+async function build() {
+  // the sets playable in Expanded, and those of the Standard format after it
+  const sets = (await fetchJson('sets/en.json'))
+    .filter(set => setCode(set) && set.legalities?.expanded === 'Legal');
+
+  const cards = [];
+  for (const set of sets) {
+    for (const card of await fetchJson(`cards/en/${set.id}.json`)) {
+      cards.push(toCard(card, setCode(set)));
+    }
+  }
+
+  // one card per line, to keep the file readable
+  await writeFile(OUTPUT, `[\n${cards.map(card => `   ${JSON.stringify(card)}`).join(',\n')}\n]\n`);
+  console.log(`Wrote ${cards.length} cards of ${sets.length} sets to src/lib/cards/cards.json`);
+}
+
+build().catch(err => {
+  console.warn(`Could not update the card database, keeping the current one: ${err.message}`);
+});
@@ -0,0 +1,111 @@
+import { active } from './player.js'
+import { record } from './history.js'
+import { publishLog } from './gameLog.js'
+import { share } from './sync.js'
+
+/**
+ * Special Conditions of the Active Pokémon, kept in the conditions store of its slot
+ * Asleep, Confused and Paralyzed turn the card, so a new one of them replaces the previous one,
+ * Poisoned and Burned add to them. Moving the Pokémon to the Bench cures all of them (see player.js)
+ */
+
+export const CONDITIONS = {
+   asleep: { name: 'Asleep', short: 'SLP', rotation: true },
+   confused: { name: 'Confused', short: 'CNF', rotation: true },
+   paralyzed: { name: 'Paralyzed', short: 'PAR', rotation: true },
+   poisoned: { name: 'Poisoned', short: 'PSN', rotation: false },
+   burned: { name: 'Burned', short: 'BRN', rotation: false }
+}
+
+const POISON_DAMAGE = 10
+const BURN_DAMAGE = 20
+
+function update (slot, conditions) {
+   slot.conditions.set(conditions)
+   share('conditionsUpdated', { slotId: slot.id, conditions })
+}
+
+function coinFlip () {
+   return Math.random() < 0.5
+}
+
+function top (slot) {
+   return slot.pokemon.get().slice(-1)
+}
+
+export function toggleCondition (name) {
+   const slot = active.get()
+   if (!slot || !CONDITIONS[name]) return
+
+   const before = slot.conditions.get()
+   const applied = !before.includes(name)
+
+   record(`${applied ? 'Apply' : 'Cure'} ${CONDITIONS[name].name}`)
+
+   let conditions = before.filter(c => c !== name)
+   if (applied) {
+      if (CONDITIONS[name].rotation) conditions = conditions.filter(c => !CONDITIONS[c].rotation)
+      conditions.push(name)
+   }
+
+   update(slot, conditions)
+   publishLog(`{${slot.name}} is ${applied ? 'now' : 'no longer'} ${CONDITIONS[name].name}`, { type: 'condition', cards: top(slot) })
+}
+
+export function clearConditions () {
+   const slot = active.get()
+   if (!slot?.conditions.get().length) return
+
+   record('Cure Special Conditions')
+   update(slot, [])
+   publishLog(`Cured all Special Conditions of {${slot.name}}`, { type: 'condition', cards: top(slot) })
+}
+
+/**
+ * Pokémon Checkup between turns: Poisoned and Burned put damage counters, Burned and Asleep
+ * flip a coin to recover, Paralyzed ends after the turn of its owner (ownTurnEnded)
+ */
+export function pokemonCheckup (ownTurnEnded) {
+   const slot = active.get()
+   const before = slot?.conditions.get() || []
+
+   const results = []
+   const cured = []
+   let damage = 0
+
+   if (before.includes('poisoned')) {
+      damage += POISON_DAMAGE
+      results.push(`Poisoned: ${POISON_DAMAGE} damage`)
+   }
+
+   if (before.includes('burned')) {
+      damage += BURN_DAMAGE
+      const heads = coinFlip()
+      if (heads) cured.push('burned')
+      results.push(`Burned: ${BURN_DAMAGE} damage, ${heads ? 'HEADS - no longer Burned' : 'TAILS'}`)
+   }
+
+   if (before.includes('asleep')) {
+      const heads = coinFlip()
+      if (heads) cured.push('asleep')
+      results.push(`Asleep: ${heads ? 'HEADS - woke up' : 'TAILS - still Asleep'}`)
+   }
+
+   if (before.includes('paralyzed') && ownTurnEnded) {
+      cured.push('paralyzed')
+      results.push('no longer Paralyzed')
+   }
+
+   if (!results.length) return
+
+   record('Pokémon Checkup')
+
+   if (damage) {
+      slot.damage.update(d => Number(d) + damage)
+      share('damageUpdated', { slotId: slot.id, damage: slot.damage.get() })
+   }
+
+   if (cured.length) update(slot, before.filter(c => !cured.includes(c)))
+
+   publishLog(`Pokémon Checkup of {${slot.name}} - ${results.join(', ')}`, { type: 'checkup', cards: top(slot) })
+}
@@ -3,6 +3,7 @@
 // Purpose: Manages WebSocket connections and state for the tabletop game
 
 import { writable } from './custom/writable.js';
+import { storable } from './custom/storable.js';
 import { io } from 'socket.io-client';
 import { browser } from '$app/environment';
 
@@ -11,6 +12,20 @@ export const room = writable(null);
 export const connected = writable(false);
 export const chat = writable([]);
 
+// Our place in the room: 'host', 'guest' or 'spectator'
+export const role = writable(null);
+
+// Whether the host lets spectators post in the chat
+export const spectatorChat = writable(false);
+
+// Last joinRoom refusal: { code, message, roomId }, code being room_full, not_found or already_in_room
+export const joinError = writable(null);
+
+// Seat held in the current room: { roomId, token, lastSeq }
+// Kept across reconnects (and reloads) so the server gives us back the same seat,
+// along with the events broadcast since lastSeq
+export const seat = storable(null, 'seat');
+
 // Socket.io instance
 let socket;
 
@@ -45,8 +60,8 @@ function initializeSocket() {
       
       // Create new socket instance with optimized options for Cloudflare Worker
       socket = io(serverUrl, {
-        transports: ['polling'], // Start with polling only since Worker doesn't support WebSocket upgrade
-        upgrade: false, // Disable WebSocket upgrade
+        transports: ['polling', 'websocket'], // Start with polling, the Worker supports upgrading to WebSocket
+        upgrade: true, // Switch to WebSocket once the probe succeeds
         rememberUpgrade: false,
         reconnectionAttempts: 5,
         reconnectionDelay: 2000,
@@ -66,11 +81,16 @@ function initializeSocket() {
         retryCount = 0;
         connectionAttempts = 0;
         
-        // Rejoin room if previously in one
+        // Rejoin room if previously in one, taking our seat back
         const currentRoom = room.get();
         if (currentRoom) {
           console.log('Rejoining room:', currentRoom);
-          joinRoom(currentRoom);
+          if (role.get() === 'spectator') spectateRoom(currentRoom);
+          else joinRoom(currentRoom);
+        } else if (seat.get()) {
+          // The page was reloaded: the seat is kept, but whatever we knew about the room is gone
+          console.log('Rejoining room after reload:', seat.get().roomId);
+          joinRoom(seat.get().roomId, { reloaded: true });
         }
       });
       
@@ -116,21 +136,69 @@ function initializeSocket() {
         console.error('Socket.IO error:', error);
       });
       
+      socket.on('eventRejected', (error) => {
+        console.error(`Server rejected ${error.data?.event}: ${error.message}`);
+      });
+      
+      // Room broadcasts carry their sequence number as last argument
+      socket.onAny((event, data, seq) => {
+        if (typeof seq === 'number' && seat.get()) {
+          seat.update(s => ({ ...s, lastSeq: Math.max(s.lastSeq, seq) }));
+        }
+      });
+      
       // Game-specific events
       socket.on('createdRoom', (data) => {
         console.log('Room created:', data);
         room.set(data.roomId);
+        role.set(data.role);
+        takeSeat(data);
       });
       
       socket.on('joinedRoom', (data) => {
-        console.log('Joined room:', data);
+        console.log(data.resumed ? 'Resumed seat in room:' : 'Joined room:', data);
+        room.set(data.roomId);
+        role.set(data.role);
+        joinError.set(null);
+        takeSeat(data);
+      });
+      
+      socket.on('spectatingRoom', (data) => {
+        console.log('Spectating room:', data);
         room.set(data.roomId);
+        role.set('spectator');
+        spectatorChat.set(data.spectatorChat);
+        joinError.set(null);
+        seat.set(null);
+      });
+      
+      socket.on('roomSettings', (data) => {
+        console.log('Room settings:', data);
+        spectatorChat.set(data.spectatorChat);
+      });
+      
+      socket.on('joinError', (error) => {
+        console.error(`Could not join room ${error.roomId}: ${error.message}`);
+        joinError.set(error);
+        
+        // The room we were reconnecting to is gone (or our seat was given away)
+        if (room.get() === error.roomId) {
+          clearRoom();
+        } else if (seat.get()?.roomId === error.roomId) {
+          // Rejoining after a reload: don't try that room again on the next page load
+          seat.set(null);
+        }
       });
       
       socket.on('leftRoom', () => {
         console.log('Left room');
-        room.set(null);
-        chat.set([]);
+        clearRoom();
+      });
+      
+      // Every player left, spectators are sent away
+      socket.on('roomClosed', () => {
+        console.log('Room closed');
+        clearRoom();
       });
       
       socket.on('playerJoined', (data) => {
@@ -145,7 +213,36 @@ function initializeSocket() {
       socket.on('playerLeft', (data) => {
         console.log('Player left:', data);
         chat.update(msgs => [...msgs, {
-          message: `Player ${data.sessionId} left the room`,
+          message: data.reason === 'left'
+            ? `Player ${data.sessionId} left the room`
+            : `Player ${data.sessionId} disconnected (${data.reason})`,
+          time: new Date().toISOString(),
+          type: 'system'
+        }]);
+      });
+      
+      socket.on('playerReconnected', (data) => {
+        console.log('Player reconnected:', data);
+        chat.update(msgs => [...msgs, {
+          message: `Player ${data.sessionId} reconnected`,
+          time: new Date().toISOString(),
+          type: 'system'
+        }]);
+      });
+      
+      socket.on('spectatorJoined', (data) => {
+        console.log('Spectator joined:', data);
+        chat.update(msgs => [...msgs, {
+          message: `Spectator ${data.sessionId} is watching`,
+          time: new Date().toISOString(),
+          type: 'system'
+        }]);
+      });
+      
+      socket.on('spectatorLeft', (data) => {
+        console.log('Spectator left:', data);
+        chat.update(msgs => [...msgs, {
+          message: `Spectator ${data.sessionId} stopped watching`,
           time: new Date().toISOString(),
           type: 'system'
         }]);
@@ -189,6 +286,34 @@ if (browser) {
   initializeSocket();
 }
 
+function clearRoom() {
+  room.set(null);
+  role.set(null);
+  seat.set(null);
+  spectatorChat.set(false);
+  chat.set([]);
+}
+
+// Remember the seat handed out with createdRoom/joinedRoom. When resuming, the
+// replayed events arrive first and may already have moved lastSeq past data.seq.
+function takeSeat(data) {
+  const previous = seat.get();
+  const lastSeq = previous?.roomId === data.roomId && previous.token === data.seatToken
+    ? Math.max(previous.lastSeq, data.seq)
+    : data.seq;
+  seat.set({ roomId: data.roomId, token: data.seatToken, lastSeq });
+}
+
+// joinRoom payload, with our seat if we already had one in that room.
+// After a reload there is no lastSeq: replaying events is no use without the board
+// they apply to, the other player sends theirs again instead
+function joinRequest(roomId, reloaded) {
+  const previous = seat.get();
+  if (previous?.roomId !== roomId) return { roomId };
+  if (reloaded) return { roomId, seatToken: previous.token };
+  return { roomId, seatToken: previous.token, lastSeq: previous.lastSeq };
+}
+
 // Connection management functions
 function connect() {
   if (browser && socket && !connected.get()) {
@@ -228,7 +353,7 @@ function createRoom() {
   socket.emit('createRoom');
 }
 
-function joinRoom(roomId) {
+function joinRoom(roomId, { reloaded = false } = {}) {
   if (!socket) {
     console.error('Socket not initialized');
     return;
@@ -241,7 +366,7 @@ function joinRoom(roomId) {
     const unsubscribe = connected.subscribe(isConnected => {
       if (isConnected) {
         console.log('Connected, now joining room:', roomId);
-        socket.emit('joinRoom', { roomId });
+        socket.emit('joinRoom', joinRequest(roomId, reloaded));
         unsubscribe();
       }
     });
@@ -249,20 +374,40 @@ function joinRoom(roomId) {
   }
   
   console.log('Joining room:', roomId);
-  socket.emit('joinRoom', { roomId });
+  socket.emit('joinRoom', joinRequest(roomId, reloaded));
+}
+
+function spectateRoom(roomId) {
+  if (!socket) {
+    console.error('Socket not initialized');
+    return;
+  }
+  
+  console.log('Spectating room:', roomId);
+  socket.emit('spectateRoom', { roomId });
 }
 
 function leaveRoom() {
   if (socket && room.get()) {
     console.log('Leaving room:', room.get());
     socket.emit('leaveRoom', { roomId: room.get() });
-    room.set(null);
-    chat.set([]);
+    clearRoom();
+  }
+}
+
+// Host only: let spectators post in the chat or not
+function allowSpectatorChat(allowed) {
+  if (socket && role.get() === 'host') {
+    socket.emit('allowSpectatorChat', { allowed });
   }
 }
 
+function canChat() {
+  return role.get() !== 'spectator' || spectatorChat.get();
+}
+
 function publishToChat(message, type = 'chat') {
-  if (socket && room.get()) {
+  if (socket && room.get() && canChat()) {
     console.log('Publishing chat message:', message);
     socket.emit('chatMessage', { 
       roomId: room.get(), 
@@ -283,10 +428,11 @@ function publishToChat(message, type = 'chat') {
   }
 }
 
-function publishLog(log) {
-  if (socket && room.get()) {
+// entry being the structured form of the log line (see gameLog.js)
+function publishLog(log, entry) {
+  if (socket && room.get() && role.get() !== 'spectator') {
     console.log('Publishing log message:', log);
-    socket.emit('logMessage', { roomId: room.get(), log });
+    socket.emit('logMessage', { roomId: room.get(), log, entry });
     
     // Also add to local chat for immediate feedback
     chat.update(msgs => [...msgs, { 
@@ -299,8 +445,9 @@ function publishLog(log) {
   }
 }
 
+// Spectators have no board of their own to share
 function share(event, data) {
-  if (socket && room.get()) {
+  if (socket && room.get() && role.get() !== 'spectator') {
     console.log('Sharing event:', event, data);
     socket.emit(event, { 
       roomId: room.get(), 
@@ -315,7 +462,9 @@ export {
   disconnect,
   createRoom, 
   joinRoom, 
+  spectateRoom,
   leaveRoom, 
+  allowSpectatorChat,
   publishToChat, 
   publishLog, 
   share 
@@ -1,6 +1,6 @@
 import { copy } from '$lib/util/object.js'
 import { writable } from './writable.js'
-import { pile, slots } from './cards.js'
+import { pile, slots, slot } from './cards.js'
 
 export function board () {
 
@@ -20,6 +20,12 @@ export function board () {
    const vstarUsed = writable(false)
    const gxUsed = writable(false)
 
+   // what has been done this turn, for the once per turn rules
+   const energyAttached = writable(false)
+   const supporterPlayed = writable(false)
+   const stadiumPlayed = writable(false)
+   const retreated = writable(false)
+
    const prizesFlipped = writable(false)
    const handRevealed = writable(false)
    const pokemonHidden = writable(false)
@@ -36,12 +42,36 @@ export function board () {
       }
    }
 
+   // copy of the card of the deck list with this id, the ids being handed out as in loadDeck
+   function cardById (id) {
+      let j = 0
+      for (const card of cards.get()) {
+         j += card.count
+         if (id <= j) {
+            const c = copy(card, [ 'count' ])
+            c._id = id
+            return c
+         }
+      }
+      return null
+   }
+
+   // whether the opponent gets to see the cards in this pile
+   function isPublic (name) {
+      if (name === 'deck' || name === 'pickup') return false
+      if (name === 'hand') return handRevealed.get()
+      if (name === 'prizes') return prizesFlipped.get()
+      if (name.endsWith('.pokemon')) return !pokemonHidden.get()
+      return true
+   }
+
    function reset () {
       deck.clear()
       loadDeck()
 
       vstarUsed.set(false)
       gxUsed.set(false)
+      resetTurnFlags()
       prizesFlipped.set(false)
 
       hand.clear()
@@ -55,6 +85,13 @@ export function board () {
       pickup.clear()
    }
 
+   function resetTurnFlags () {
+      energyAttached.set(false)
+      supporterPlayed.set(false)
+      stadiumPlayed.set(false)
+      retreated.set(false)
+   }
+
    function exportBoard () {
       const expPile = (p) => p.get().map(card => card._id)
       const expSlot = (s) => ({
@@ -63,7 +100,8 @@ export function board () {
          energy: expPile(s.energy),
          trainer: expPile(s.trainer),
          damage: s.damage.get(),
-         marker: s.marker.get()
+         marker: s.marker.get(),
+         conditions: s.conditions.get()
       })
 
       return {
@@ -85,12 +123,116 @@ export function board () {
       }
    }
 
+   // the board as the opponent may see it: the cards of public piles, only a count for the others
+   // (visible tells which piles to give the cards of instead, e.g. all of them for our own replay)
+   function exportPublicBoard (visible = isPublic) {
+      const expPile = (p) => visible(p.name) ? [ ...p.get() ] : p.get().length
+      const expSlot = (s) => ({
+         id: s.id,
+         pokemon: expPile(s.pokemon),
+         energy: expPile(s.energy),
+         trainer: expPile(s.trainer),
+         damage: s.damage.get(),
+         marker: s.marker.get(),
+         conditions: s.conditions.get()
+      })
+
+      return {
+         deck: expPile(deck),
+         hand: expPile(hand),
+         prizes: expPile(prizes),
+         discard: expPile(discard),
+         lz: expPile(lz),
+         active: active.get() ? expSlot(active.get()) : null,
+         bench: bench.get().map(slot => expSlot(slot)),
+         stadium: stadium.get(),
+         table: expPile(table),
+         pickup: expPile(pickup),
+         vstarUsed: vstarUsed.get(),
+         gxUsed: gxUsed.get(),
+         prizesFlipped: prizesFlipped.get(),
+         handRevealed: handRevealed.get(),
+         pokemonHidden: pokemonHidden.get()
+      }
+   }
+
+   // copy of the whole board to go back to later, keeping the card objects themselves
+   function snapshot () {
+      const snapSlot = (s) => ({
+         id: s.id,
+         pokemon: [ ...s.pokemon.get() ],
+         energy: [ ...s.energy.get() ],
+         trainer: [ ...s.trainer.get() ],
+         damage: s.damage.get(),
+         marker: s.marker.get(),
+         conditions: [ ...s.conditions.get() ],
+         playedTurn: s.playedTurn
+      })
+
+      return {
+         deck: [ ...deck.get() ],
+         hand: [ ...hand.get() ],
+         prizes: [ ...prizes.get() ],
+         discard: [ ...discard.get() ],
+         lz: [ ...lz.get() ],
+         active: active.get() ? snapSlot(active.get()) : null,
+         bench: bench.get().map(snapSlot),
+         stadium: stadium.get(),
+         table: [ ...table.get() ],
+         pickup: [ ...pickup.get() ],
+         vstarUsed: vstarUsed.get(),
+         gxUsed: gxUsed.get(),
+         energyAttached: energyAttached.get(),
+         supporterPlayed: supporterPlayed.get(),
+         stadiumPlayed: stadiumPlayed.get(),
+         retreated: retreated.get(),
+         prizesFlipped: prizesFlipped.get(),
+         handRevealed: handRevealed.get(),
+         pokemonHidden: pokemonHidden.get()
+      }
+   }
+
+   function restore (snap) {
+      const restoreSlot = (data) => {
+         const s = slot(null, data.id)
+         s.pokemon.set([ ...data.pokemon ])
+         s.energy.set([ ...data.energy ])
+         s.trainer.set([ ...data.trainer ])
+         s.damage.set(data.damage)
+         s.marker.set(data.marker)
+         s.conditions.set([ ...data.conditions ])
+         s.playedTurn = data.playedTurn
+         return s
+      }
+
+      for (const p of [ deck, hand, prizes, discard, lz, table, pickup ]) {
+         p.set([ ...snap[p.name] ])
+      }
+
+      active.set(snap.active ? restoreSlot(snap.active) : null)
+      bench.set(snap.bench.map(restoreSlot))
+      stadium.set(snap.stadium)
+
+      vstarUsed.set(snap.vstarUsed)
+      gxUsed.set(snap.gxUsed)
+      energyAttached.set(snap.energyAttached)
+      supporterPlayed.set(snap.supporterPlayed)
+      stadiumPlayed.set(snap.stadiumPlayed)
+      retreated.set(snap.retreated)
+      prizesFlipped.set(snap.prizesFlipped)
+      handRevealed.set(snap.handRevealed)
+      pokemonHidden.set(snap.pokemonHidden)
+   }
+
    return {
       cards, deck, hand, prizes, discard, lz,
       bench, active, stadium, table, pickup,
       vstarUsed, gxUsed,
+      energyAttached, supporterPlayed, stadiumPlayed, retreated, resetTurnFlags,
       prizesFlipped, handRevealed, pokemonHidden,
-      exportBoard, reset,
+      exportBoard, exportPublicBoard, reset,
+      snapshot, restore,
+      cardById, isPublic,
       // utility function used in multiple files
       findSlot: (slotId) => {
          if (active.get()?.id === slotId) return active.get()
@@ -24,9 +24,9 @@ export function pile (name = null) {
          })
          return card
       },
-      shuffle: () => {
+      shuffle: (random) => {
          update(v => {
-            shuffle(v)
+            shuffle(v, random)
             return v
          })
       },
@@ -107,6 +107,8 @@ export function slot (card = null, id = null) {
       trainer: pile(`${sid}.trainer`),
       damage: writable(0),
       marker: writable(false),
+      conditions: writable([]), // Special Conditions, only ever on the Active Pokémon (see conditions.js)
+      playedTurn: null, // the turn the Pokémon was put into play or last evolved, for the evolution rules
       get name() {
          return pokemon.get().at(-1)?.name
       }
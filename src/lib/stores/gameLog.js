@@ -0,0 +1,85 @@
+import { writable } from './custom/writable.js'
+import { publishLog as send, react, role, room } from './connection.js'
+import { recordOwn } from './replay.js'
+import { turn, ourRole } from './turn.js'
+import { download } from '$lib/util/download.js'
+
+/**
+ * structured record of the game, next to the lines shown in the chat
+ * each entry: { type, actor, self, text, cards, from, to, turn, turnOf, time }
+ * actor being the role of the player in the room (null when playing alone), turnOf the one whose turn it is,
+ * cards the names of the cards involved when they are public
+ */
+export const gameLog = writable([])
+
+/**
+ * logs one of our actions, and shares it with the room
+ * details: { type, cards, from, to }
+ */
+export function publishLog (text, details = {}) {
+   const entry = {
+      type: details.type || 'message',
+      actor: role.get(),
+      text,
+      cards: (details.cards || []).map(card => card.name),
+      from: details.from || null,
+      to: details.to || null,
+      turn: turn.get().number,
+      turnOf: turn.get().current,
+      time: new Date().toISOString()
+   }
+
+   gameLog.update(log => [ ...log, { ...entry, self: true } ])
+   send(text, entry)
+   if (room.get()) recordOwn('log', entry)
+}
+
+// older clients only send the text of their log
+react('logMessage', ({ log, time, entry }) => {
+   gameLog.update(l => [ ...l, {
+      type: 'message', actor: null, text: log, cards: [], from: null, to: null, turn: null, turnOf: null,
+      ...entry,
+      time,
+      self: false
+   } ])
+})
+
+react('joinedRoom', ({ resumed }) => {
+   if (!resumed) gameLog.set([])
+})
+
+/* export */
+
+function playerName (entry) {
+   if (entry.self) return 'You'
+   if (entry.actor) return entry.actor[0].toUpperCase() + entry.actor.slice(1)
+   return 'Opponent'
+}
+
+// transcript laid out like the ones of PTCG Live: a setup section, then a section per turn
+export function logTranscript (log = gameLog.get()) {
+   const lines = []
+   let section = null
+
+   for (const entry of log) {
+      const owner = entry.turnOf ? { actor: entry.turnOf, self: entry.turnOf === ourRole() } : entry
+      const heading = !entry.turn ? 'Setup'
+         : `Turn # ${entry.turn} - ${owner.self ? 'Your' : `${playerName(owner)}'s`} Turn`
+      if (heading !== section) {
+         if (section) lines.push('')
+         lines.push(heading)
+         section = heading
+      }
+
+      lines.push(`${playerName(entry)}: ${entry.text}`)
+      if (entry.cards.length) lines.push(`   • ${entry.cards.join(', ')}`)
+   }
+
+   return lines.join('\n')
+}
+
+export function exportLog () {
+   const name = `game-log-${new Date().toISOString().slice(0, 19).replace(/:/g, '-')}`
+   download(`${name}.json`, JSON.stringify(gameLog.get(), null, 2), 'application/json')
+   download(`${name}.txt`, logTranscript(), 'text/plain')
+}
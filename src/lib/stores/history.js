@@ -0,0 +1,84 @@
+import { writable } from './custom/writable.js'
+import { publishLog } from './gameLog.js'
+import { share } from './sync.js'
+import { shuffleCount, rewindShuffles, shuffling } from './shuffle.js'
+import { snapshot, restore, exportPublicBoard, resetSelection } from './player.js'
+
+/**
+ * undo / redo of our own board actions
+ * every action records a snapshot of the board before it happens, going back restores it
+ * and sends the opponent the whole (public) board, as it may have changed in any way
+ * (shuffles done since then are told to be undone, see shuffle.js)
+ */
+
+const LIMIT = 50
+
+const undoStack = []
+const redoStack = []
+
+export const canUndo = writable(false)
+export const canRedo = writable(false)
+
+function update () {
+   canUndo.set(undoStack.length > 0)
+   canRedo.set(redoStack.length > 0)
+}
+
+/**
+ * to be called before an action changes the board, label saying what it does (e.g. "Move to Discard")
+ */
+export function record (label) {
+   push({ label, board: snapshot(), shuffles: shuffleCount() })
+}
+
+function push (entry) {
+   undoStack.push(entry)
+   if (undoStack.length > LIMIT) undoStack.shift()
+   redoStack.length = 0
+   update()
+}
+
+/**
+ * for an action that only happens if a shuffle goes through: the board before it is taken now,
+ * and recorded with keep() once the shuffle did, or put back with revert() (nothing having been
+ * shared yet)
+ */
+export function checkpoint (label) {
+   const entry = { label, board: snapshot(), shuffles: shuffleCount() }
+   return {
+      keep: () => push(entry),
+      revert: () => restore(entry.board)
+   }
+}
+
+// forget everything, e.g. when a new deck or game replaces the board
+export function clearHistory () {
+   undoStack.length = 0
+   redoStack.length = 0
+   update()
+}
+
+function travel (from, to, verb) {
+   // the board a pending shuffle committed to has to stay as it is
+   if (shuffling.get().length) return
+
+   const entry = from.pop()
+   if (!entry) return
+
+   to.push({ label: entry.label, board: snapshot(), shuffles: shuffleCount() })
+   resetSelection()
+   restore(entry.board)
+   rewindShuffles(entry.shuffles)
+   update()
+
+   share('boardState', { board: exportPublicBoard() })
+   publishLog(`${verb}: ${entry.label}`, { type: verb === 'Undid' ? 'undo' : 'redo' })
+}
+
+export function undo () {
+   travel(undoStack, redoStack, 'Undid')
+}
+
+export function redo () {
+   travel(redoStack, undoStack, 'Redid')
+}
@@ -0,0 +1,145 @@
+import { writable } from './custom/writable.js'
+import { react, room } from './connection.js'
+import { publishLog } from './gameLog.js'
+import { share } from './sync.js'
+import { record } from './history.js'
+import { active, bench, discard, removeSlot } from './player.js'
+import { opponent } from './opponent.js'
+import { checkPokemonInPlay } from './match.js'
+import { s } from '$lib/util/strings.js'
+
+/**
+ * Knock Outs: a Pokémon is Knocked Out once the damage on it reaches the HP of its card
+ * when it happens to one of ours, we get asked to discard it, and the opponent learns how many
+ * Prize cards they take (knockedOut), which they pick from their prizes
+ * the attacker gets to take them as soon as the damage on the opponent's Pokémon reaches its HP,
+ * without waiting for it to be discarded
+ */
+
+// the HP of the top card of a slot, 0 when unknown (e.g. a face down card)
+export function hpOf (card) {
+   return Number(card?.hp) || 0
+}
+
+export function isKnockedOut (card, damage) {
+   const hp = hpOf(card)
+   return hp > 0 && Number(damage) >= hp
+}
+
+const PRIZES = {
+   'VMAX': 3, 'V-UNION': 3, 'TAG TEAM': 3,
+   'ex': 2, 'EX': 2, 'GX': 2, 'V': 2, 'VSTAR': 2
+}
+
+/**
+ * Prize cards the opponent takes for a Knocked Out Pokémon, from the rule box of its card
+ * (rule_box, or the subtypes of cards imported with them): the highest one counts, as a
+ * TAG TEAM is a GX too, 1 without a rule giving more (or without the card data)
+ */
+export function prizeValue (card) {
+   const rules = [ card?.rule_box, ...(card?.subtypes || []) ]
+   return Math.max(1, ...rules.map(rule => PRIZES[rule] || 0))
+}
+
+// the number of Prize cards we still get to take for Knock Outs of the opponent's Pokémon
+export const prizesToTake = writable(0)
+
+/**
+ * discards a Knocked Out Pokémon of ours, with everything attached to it
+ */
+export function knockOut (slot) {
+   const pokemon = slot.pokemon.get()
+   const name = slot.name
+   const prizes = prizeValue(pokemon.at(-1))
+
+   record(`Knock Out ${name}`)
+
+   removeSlot(slot)
+   discard.merge([ ...slot.trainer.get(), ...slot.energy.get(), ...pokemon ])
+   share('slotsMoved', { slots: [ slot.id ], to: 'discard' })
+
+   if (room.get()) {
+      publishLog(`{${name}} was Knocked Out - ${prizes} ${s('Prize card', prizes)} to take`, { type: 'knockOut', cards: pokemon.slice(-1), to: 'Discard' })
+      share('knockedOut', { slotId: slot.id, name, prizes })
+   } else {
+      publishLog(`{${name}} was Knocked Out`, { type: 'knockOut', cards: pokemon.slice(-1), to: 'Discard' })
+   }
+
+   checkPokemonInPlay()
+}
+
+function inPlay (slot) {
+   return active.get() === slot || bench.get().includes(slot)
+}
+
+function promptKnockOut (slot) {
+   if (!inPlay(slot) || !isKnockedOut(slot.pokemon.get().at(-1), slot.damage.get())) return
+   if (window.confirm(`${slot.name} is Knocked Out. Discard it with everything attached?`)) knockOut(slot)
+}
+
+/* watching the damage on the Pokémon in play */
+
+// calls onDamage with every change of the damage of the Pokémon in play of a board
+function watchDamage (board, onDamage) {
+   const watched = new Map() // slot -> unsubscribe
+
+   function watchSlots () {
+      const slots = [ board.active.get(), ...board.bench.get() ].filter(Boolean)
+
+      for (const [ slot, unsubscribe ] of watched) {
+         if (slots.includes(slot)) continue
+         unsubscribe()
+         watched.delete(slot)
+      }
+
+      for (const slot of slots) {
+         if (watched.has(slot)) continue
+
+         // only damage put on the Pokémon from now on, not the one it comes back with on undo
+         let initial = true
+         watched.set(slot, slot.damage.subscribe(damage => {
+            if (!initial) onDamage(slot, damage)
+         }))
+         initial = false
+      }
+   }
+
+   board.active.subscribe(watchSlots)
+   board.bench.subscribe(watchSlots)
+}
+
+watchDamage({ active, bench }, (slot, damage) => {
+   // after the action putting the damage is done, e.g. damaging several Pokémon at once
+   if (isKnockedOut(slot.pokemon.get().at(-1), damage)) setTimeout(() => promptKnockOut(slot))
+})
+
+/* Knock Outs of the opponent's Pokémon */
+
+const counted = new Map() // slot id -> Prize cards already counted for the Knock Out of the Pokémon
+
+function countPrizes (slotId, prizes) {
+   const before = counted.get(slotId) || 0
+   counted.set(slotId, prizes)
+   prizesToTake.update(n => Math.max(0, n + prizes - before))
+}
+
+watchDamage(opponent, (slot, damage) => {
+   const card = slot.pokemon.get().at(-1)
+   if (isKnockedOut(card, damage)) countPrizes(slot.id, prizeValue(card))
+   // the damage was undone
+   else if (counted.has(slot.id)) countPrizes(slot.id, 0)
+})
+
+// the number the opponent tells is what counts, which does not add up twice with the one counted above
+react('knockedOut', ({ slotId, prizes }) => {
+   countPrizes(slotId, prizes)
+   counted.delete(slotId)
+})
+
+function forgetPrizes () {
+   prizesToTake.set(0)
+   counted.clear()
+}
+
+react('leftRoom', forgetPrizes)
+react('boardReset', forgetPrizes)
@@ -1,5 +1,5 @@
 import { s } from '$lib/util/strings.js'
-import { publishToChat as publishLog } from './connection.js'
+import { publishLog } from './gameLog.js'
 import { prizesFlipped, handRevealed, pokemonHidden, findSlot } from './player.js'
 
 const slotRegex = /^([0-9a-z-]{36}).(pokemon|trainer|energy)$/i
@@ -37,7 +37,7 @@ const piles = {
    play: 'Play'
 }
 
-function pileName (key) {
+export function pileName (key) {
    let regexRes = null
 
    if (key in piles) return piles[key]
@@ -56,57 +56,67 @@ function names (array) {
 export function logMove (cards, from, to, options = {}) {
    const fromName = pileName(from)
    const toName = pileName(to)
+   const details = { type: 'move', from: fromName, to: toName }
 
    if (isPublicMove(from, to)) {
-      if (options.switch) publishLog(`Switched [${names(cards)}] from ${fromName} with ${s('card', cards.length)} from ${toName}`)
-      else if (options.shuffle) publishLog(`Shuffled [${names(cards)}] from ${fromName} into ${toName}`)
-      else publishLog(`Moved [${names(cards)}] from ${options.top ? 'top of ' : ''}${fromName} to ${options.bottom ? 'bottom of ' : ''}${toName}`)
+      details.cards = cards
+      if (options.switch) publishLog(`Switched [${names(cards)}] from ${fromName} with ${s('card', cards.length)} from ${toName}`, details)
+      else if (options.shuffle) publishLog(`Shuffled [${names(cards)}] from ${fromName} into ${toName}`, details)
+      else publishLog(`Moved [${names(cards)}] from ${options.top ? 'top of ' : ''}${fromName} to ${options.bottom ? 'bottom of ' : ''}${toName}`, details)
    } else {
       const a = `${cards.length} ${s('card', cards.length)}`
-      if (options.switch) publishLog(`Switched ${a} from ${fromName} with ${s('card', cards.length)} from ${toName}`)
-      else if (options.shuffle) publishLog(`Shuffled ${a} from ${fromName} into ${toName}`)
-      else publishLog(`Moved ${a} from ${options.top ? 'top of ' : ''}${fromName} to ${options.bottom ? 'bottom of ' : ''}${toName}`)
+      if (options.switch) publishLog(`Switched ${a} from ${fromName} with ${s('card', cards.length)} from ${toName}`, details)
+      else if (options.shuffle) publishLog(`Shuffled ${a} from ${fromName} into ${toName}`, details)
+      else publishLog(`Moved ${a} from ${options.top ? 'top of ' : ''}${fromName} to ${options.bottom ? 'bottom of ' : ''}${toName}`, details)
    }
 }
 
 export function logSlotMove (slots, to, options) {
+   const details = { type: 'move', from: 'Play', to: pileName(to) }
+
    if (isPublicMove('play', to)) {
-      if (options.shuffle) publishLog(`Shuffled {${names(slots)}} from Play into ${pileName(to)}`)
-      else publishLog(`Moved {${names(slots)}} from Play to ${options.bottom ? 'bottom of ' : ''}${pileName(to)}`)
+      details.cards = slots.flatMap(slot => slot.pokemon.get())
+      if (options.shuffle) publishLog(`Shuffled {${names(slots)}} from Play into ${pileName(to)}`, details)
+      else publishLog(`Moved {${names(slots)}} from Play to ${options.bottom ? 'bottom of ' : ''}${pileName(to)}`, details)
    } else {
-      if (options.shuffle) publishLog(`Shuffled ${slots.length} Pokémon from Play into ${pileName(to)}`)
-      else publishLog(`Moved ${slots.length} Pokémon from Play to ${options.bottom ? 'bottom of ' : ''}${pileName(to)}`)
+      if (options.shuffle) publishLog(`Shuffled ${slots.length} Pokémon from Play into ${pileName(to)}`, details)
+      else publishLog(`Moved ${slots.length} Pokémon from Play to ${options.bottom ? 'bottom of ' : ''}${pileName(to)}`, details)
    }
 }
 
 export function logPickup (count, from, options) {
-   publishLog(`Picked up ${count} ${s('card', count)} from ${options.bottom ? 'bottom of ' : ''}${pileName(from)}`)
+   publishLog(`Picked up ${count} ${s('card', count)} from ${options.bottom ? 'bottom of ' : ''}${pileName(from)}`, { type: 'pickup', from: pileName(from), to: 'Picked Up' })
 }
 
 export function logBenched (cards, from) {
+   const details = { type: 'bench', from: pileName(from), to: 'Bench' }
+
    if (isPublicMove(from, 'play')) {
-      publishLog(`Moved [${names(cards)}] from ${pileName(from)} to Bench`)
+      publishLog(`Moved [${names(cards)}] from ${pileName(from)} to Bench`, { ...details, cards })
    } else {
-      publishLog(`Moved ${cards.length} ${s('card', cards.length)} from ${pileName(from)} to Bench`)
+      publishLog(`Moved ${cards.length} ${s('card', cards.length)} from ${pileName(from)} to Bench`, details)
    }
 }
 
 export function logPromoted (card, from) {
+   const details = { type: 'promote', from: pileName(from), to: 'Active' }
+
    if (isPublicMove(from, 'play')) {
-      publishLog(`Moved [${card.name}] from ${pileName(from)} to Active`)
+      publishLog(`Moved [${card.name}] from ${pileName(from)} to Active`, { ...details, cards: [ card ] })
    } else {
-      publishLog(`Moved 1 card from ${pileName(from)} to Active`)
+      publishLog(`Moved 1 card from ${pileName(from)} to Active`, details)
    }
 }
 
 export function logAttachment (slot, cards, from) {
-   publishLog(`Attached [${names(cards)}] from ${pileName(from)} to {${slot.name}}`)
+   publishLog(`Attached [${names(cards)}] from ${pileName(from)} to {${slot.name}}`, { type: 'attach', cards, from: pileName(from), to: slot.name })
 }
 
 export function logEvolve (slot, cards, from) {
-   publishLog(`Evolved {${slot.pokemon.get().at(-(cards.length+1)).name}} into [${names(cards)}] from ${pileName(from)}`)
+   const evolved = slot.pokemon.get().at(-(cards.length+1)).name
+   publishLog(`Evolved {${evolved}} into [${names(cards)}] from ${pileName(from)}`, { type: 'evolve', cards, from: pileName(from), to: evolved })
 }
 
 export function logStadium (card, from) {
-   publishLog(`Moved [${card.name}] from ${pileName(from)} to Stadium`)
+   publishLog(`Moved [${card.name}] from ${pileName(from)} to Stadium`, { type: 'stadium', cards: [ card ], from: pileName(from), to: 'Stadium' })
 }
\ No newline at end of file
@@ -0,0 +1,126 @@
+import { writable } from './custom/writable.js'
+import { react, role } from './connection.js'
+import { publishLog } from './gameLog.js'
+import { share } from './sync.js'
+import { turn, turnDraw, ourRole } from './turn.js'
+import { cards, prizes, active, bench } from './player.js'
+
+/**
+ * End of the games of a room, and the score of the match they are part of
+ * each player watches the win conditions on their own board:
+ *  - the last of their Prize cards taken for a Knock Out: they win
+ *  - no Pokémon left in play after a Knock Out, or no card to draw at the start of their turn: they lose
+ * and announces the result to the room (gameOver)
+ */
+
+export const REASONS = {
+   prizes: 'All Prize cards taken',
+   noPokemon: 'No Pokémon left in play',
+   deckOut: 'No card to draw at the start of the turn'
+}
+
+// the result of the current game: { winner, reason }, winner being a role, null while it goes on
+export const result = writable(null)
+
+// wins of both players in the room, the match going to the first one winning most of bestOf games
+const initialScore = { host: 0, guest: 0, bestOf: 1 }
+export const score = writable(initialScore)
+
+export function winsNeeded (bestOf = score.get().bestOf) {
+   return Math.ceil(bestOf / 2)
+}
+
+// the winner of the match, if it is decided
+export function matchWinner (state = score.get()) {
+   if (state.host >= winsNeeded(state.bestOf)) return 'host'
+   if (state.guest >= winsNeeded(state.bestOf)) return 'guest'
+   return null
+}
+
+function otherRole () {
+   return ourRole() === 'host' ? 'guest' : 'host'
+}
+
+function inProgress () {
+   return turn.get().phase !== 'setup' && !result.get() && role.get() !== 'spectator'
+}
+
+function finish ({ winner, reason }) {
+   if (result.get()) return
+   result.set({ winner, reason })
+
+   const state = score.get()
+   // a new match starts once the previous one is decided
+   const base = matchWinner(state) ? { ...state, host: 0, guest: 0 } : state
+   score.set({ ...base, [winner]: base[winner] + 1 })
+}
+
+/**
+ * ends the current game, won by winner ('host' or 'guest') for the given reason (see REASONS)
+ */
+export function gameOver (winner, reason) {
+   if (!inProgress()) return
+
+   finish({ winner, reason })
+   share('gameOver', { winner, reason })
+   publishLog(`${winner === ourRole() ? 'Won' : 'Lost'} the game: ${REASONS[reason]}`, { type: 'gameOver' })
+}
+
+export function setBestOf (bestOf) {
+   score.set({ ...score.get(), bestOf })
+   share('matchScore', score.get())
+}
+
+/* win conditions */
+
+// Knock Outs call this once the Pokémon is in the discard pile
+export function checkPokemonInPlay () {
+   if (!active.get() && !bench.get().length) gameOver(otherRole(), 'noPokemon')
+}
+
+// Prize cards taken for Knock Outs of the opponent's Pokémon call this once they are out of the prizes
+export function checkPrizesTaken () {
+   if (!prizes.get().length) gameOver(ourRole(), 'prizes')
+}
+
+// nothing to draw at the start of our turn, with a deck loaded at all
+turnDraw.subscribe(draw => {
+   if (draw?.count === 0 && cards.get().length) gameOver(otherRole(), 'deckOut')
+})
+
+// the next game starts with its setup
+turn.subscribe(state => {
+   if (state.phase === 'setup') result.set(null)
+})
+
+/* synchronisation */
+
+react('gameOver', finish)
+
+react('matchScore', state => {
+   score.set(state)
+})
+
+react('spectate', ({ event, data }) => {
+   if (event === 'gameOver') finish(data)
+   else if (event === 'matchScore') score.set(data)
+})
+
+// players and spectators joining later need to know the score
+function shareScore () {
+   if (role.get() === 'host') share('matchScore', score.get())
+}
+
+react('opponentJoined', shareScore)
+react('spectatorJoined', shareScore)
+
+function newMatch ({ resumed } = {}) {
+   if (resumed) return
+   result.set(null)
+   score.set(initialScore)
+}
+
+react('createdRoom', newMatch)
+react('joinedRoom', newMatch)
+react('spectatingRoom', newMatch)
+react('leftRoom', () => newMatch())
@@ -0,0 +1,192 @@
+import { writable } from './custom/writable.js'
+import { chat, react } from './connection.js'
+import { share } from './sync.js'
+import { publishLog } from './gameLog.js'
+import { clearHistory } from './history.js'
+import { ourRole, startGame, resetTurns } from './turn.js'
+import { pokemonHidden, draw, draw7andPutPrizes, setupBoard, shareBoardstate } from './player.js'
+import { sha256, randomSeed } from '$lib/util/random.js'
+import { s } from '$lib/util/strings.js'
+
+/**
+ * opening of a game between the two players of a room
+ *  1. a coin flip both players take part in: each commits to a random bit (coinCommitted),
+ *     then reveals it (coinRevealed), heads (equal bits) lets the host choose, tails the guest
+ *  2. the winner of the flip chooses to go first or second (firstChosen)
+ *  3. both draw their hand and prizes and place their Active and Bench Pokémon face down
+ *  4. once both are ready (openingReady, with their number of mulligans) the Pokémon are
+ *     revealed and the first turn starts, the opponent of a player who took mulligans may draw
+ *     as many extra cards
+ */
+
+const initial = {
+   stage: 'idle', // flip, choose, placing, ready, done
+   chooser: null,
+   heads: null,
+   first: null,
+   mulligans: 0,
+   opponentReady: false,
+   extraDraws: 0 // the number of extra cards we may still choose to draw
+}
+
+export const opening = writable(initial)
+
+let coin = {}
+
+function set (changes) {
+   opening.set({ ...opening.get(), ...changes })
+}
+
+function system (message) {
+   chat.update(msgs => [ ...msgs, { message, time: new Date().toISOString(), type: 'system' } ])
+}
+
+function otherRole () {
+   return ourRole() === 'host' ? 'guest' : 'host'
+}
+
+/* coin flip */
+
+async function flip () {
+   const c = coin
+   c.secret = `${crypto.getRandomValues(new Uint8Array(1))[0] & 1}:${randomSeed()}`
+   c.commitment = await sha256(c.secret)
+   share('coinCommitted', { commitment: c.commitment })
+   reveal(c)
+}
+
+// our bit only goes out once the opponent is bound to theirs
+function reveal (c) {
+   if (!c.commitment || !c.opponentCommitment || c.revealed) return
+   c.revealed = true
+   share('coinRevealed', { secret: c.secret })
+   decide(c)
+}
+
+function decide (c) {
+   if (!c.revealed || !c.opponentSecret || c !== coin) return
+
+   const heads = c.secret[0] === c.opponentSecret[0]
+   const chooser = heads ? 'host' : 'guest'
+   set({ stage: 'choose', heads, chooser })
+
+   if (ourRole() === 'host') publishLog(`Coin flip: ${heads ? 'HEADS' : 'TAILS'} - the ${chooser} chooses`, { type: 'coinFlip' })
+}
+
+/**
+ * starts the opening, the opponent joins in when our commitment arrives
+ */
+export function startOpening () {
+   opening.set({ ...initial, stage: 'flip' })
+   coin = {}
+   flip()
+}
+
+/* going first or second */
+
+export function chooseFirst (goFirst) {
+   const { stage, chooser } = opening.get()
+   if (stage !== 'choose' || chooser !== ourRole()) return
+
+   const first = goFirst ? ourRole() : otherRole()
+   share('firstChosen', { first })
+   publishLog(`Chose to go ${goFirst ? 'first' : 'second'}`, { type: 'choice' })
+   beginSetup(first)
+}
+
+/* placing the Pokémon face down */
+
+async function beginSetup (first) {
+   resetTurns()
+   clearHistory()
+
+   pokemonHidden.set(true)
+   const mulligans = await setupBoard()
+   if (mulligans === null) return
+   set({ stage: 'placing', first, mulligans })
+
+   publishLog(`Setup - ${mulligans} ${s('Mulligan', mulligans)}`, { type: 'setup' })
+   shareBoardstate()
+}
+
+// without the auto mulligan setting, the player decides when their hand has no Basic Pokémon
+export async function mulligan () {
+   if (opening.get().stage !== 'placing') return
+
+   if (!await draw7andPutPrizes()) return
+   set({ mulligans: opening.get().mulligans + 1 })
+
+   publishLog('Mulligan', { type: 'mulligan' })
+   shareBoardstate()
+}
+
+export function ready () {
+   if (opening.get().stage !== 'placing') return
+
+   set({ stage: 'ready' })
+   share('openingReady', { mulligans: opening.get().mulligans })
+   if (opening.get().opponentReady) revealPokemon()
+}
+
+/**
+ * draws up to as many extra cards as the opponent took mulligans, 0 to draw none
+ */
+export function drawExtra (count) {
+   const { extraDraws } = opening.get()
+   set({ extraDraws: 0 })
+   if (count > 0) draw(Math.min(count, extraDraws))
+}
+
+function revealPokemon () {
+   set({ stage: 'done' })
+
+   pokemonHidden.set(false)
+   share('pokemonToggle', { hidden: false })
+
+   const { first } = opening.get()
+   if (first === ourRole()) startGame(first)
+}
+
+/* following the opponent */
+
+react('coinCommitted', ({ commitment }) => {
+   // the opponent started the opening (again)
+   if (opening.get().stage !== 'flip' || coin.opponentCommitment) startOpening()
+
+   coin.opponentCommitment = commitment
+   reveal(coin)
+})
+
+react('coinRevealed', async ({ secret }) => {
+   const c = coin
+   if (await sha256(secret) !== c.opponentCommitment) {
+      system('The coin flip of your opponent does not match their commitment')
+      opening.set(initial)
+      return
+   }
+
+   c.opponentSecret = secret
+   decide(c)
+})
+
+react('firstChosen', ({ first }) => {
+   if (opening.get().stage !== 'choose') return
+   beginSetup(first)
+})
+
+react('openingReady', ({ mulligans }) => {
+   // the choice is made in a dialog, not to hold up the game
+   set({ opponentReady: true, extraDraws: mulligans })
+   if (opening.get().stage === 'ready') revealPokemon()
+})
+
+function abort () {
+   opening.set(initial)
+   coin = {}
+}
+
+react('opponentLeft', ({ reason }) => {
+   if (reason === 'left') abort()
+})
+
+react('leftRoom', abort)
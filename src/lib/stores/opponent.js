@@ -3,226 +3,304 @@ import { slot } from './custom/cards.js'
 import { socket } from './connection.js'
 import { discardStadium } from './player.js'
 
-export const {
-   cards, deck, hand, prizes, discard, lz,
-   bench, active, stadium, table, pickup,
-   vstarUsed, gxUsed,
-   prizesFlipped, handRevealed, pokemonHidden,
-   reset, findSlot
-} = board()
-
-const reload = (deck) => {
-   cards.set(deck)
-   reset()
-}
-
-const removeCard = (id, pile) => {
-   if (pile === stadium) {
-      const card = stadium.get()
-      stadium.set(null)
-      return card
-
-   } else {
-      const card = pile.get().find(card => card._id === id)
-      pile.remove(card)
-      return card
+/**
+ * board mirroring the one of another player, updated with the events they share
+ * (events holds the handler of every game event, by name)
+ */
+export function opponentBoard () {
+   const b = board()
+   const {
+      cards, deck, hand, prizes, discard, lz,
+      bench, active, stadium, table, pickup,
+      vstarUsed, gxUsed,
+      prizesFlipped, handRevealed, pokemonHidden,
+      reset, findSlot, isPublic
+   } = b
+
+   let hiddenCount = 0
+
+   // stand-in for a card we don't get to see, with an id of its own for keyed lists
+   const hiddenCard = () => ({ _id: `hidden-${++hiddenCount}`, hidden: true })
+   const hiddenCards = (count) => Array.from({ length: count }, hiddenCard)
+
+   // public piles are shared as their cards, hidden ones as a number of cards
+   const fill = (pile, content) => {
+      pile.set(typeof content === 'number' ? hiddenCards(content) : [ ...content ])
    }
-}
 
-const moveCards = (ids, source, target) => {
-   for (const id of ids) {
-      const card = removeCard(id, source)
-      target.push(card)
+   const reload = (count) => {
+      cards.set([])
+      reset()
+      deck.set(hiddenCards(count))
    }
-}
 
-const removeSlot = (slot) => {
-   if (active.get() === slot) active.set(null)
-   else bench.remove(slot)
-}
-
-socket.on('leftRoom', () => {
-   reload([])
-})
-
-socket.on('opponentLeft', () => {
-   reload([])
-})
-
-socket.on('boardState', ({ cards, board }) => {
-   reload(cards)
-   // all cards are in deck now, move them to where they should be
-
-   moveCards(board.hand, deck, hand)
-   moveCards(board.prizes, deck, prizes)
-   moveCards(board.discard, deck, discard)
-   moveCards(board.lz, deck, lz)
-   moveCards(board.table, deck, table)
-
-   const importSlot = (data) => {
-      const p = slot(null, data.id)
-      moveCards(data.pokemon, deck, p.pokemon)
-      moveCards(data.energy, deck, p.energy)
-      moveCards(data.trainer, deck, p.trainer)
-      p.damage.set(data.damage)
-      p.marker.set(data.marker)
-      return p
-   }
-
-   for (const e of board.bench) {
-      bench.add(importSlot(e))
+   const removeCard = (id, pile) => {
+      if (pile === stadium) {
+         const card = stadium.get()
+         stadium.set(null)
+         return card
+
+      } else {
+         const card = pile.get().find(card => card._id === id)
+         pile.remove(card)
+         return card
+      }
    }
 
-   if (board.active) active.set(importSlot(board.active))
+   // take moved cards out of a pile: by id if we could see them, otherwise any of the hidden ones
+   const takeCards = (pile, { count, ids }) => {
+      if (pile === stadium || ids) return (ids || [ null ]).map(id => removeCard(id, pile))
 
-   if (board.stadium) {
-      const card = removeCard(board.stadium, deck)
-      stadium.set(card)
+      let taken = []
+      pile.update(v => {
+         taken = v.splice(v.length - count, count)
+         return v
+      })
+      return taken
    }
 
-   if (board.vstarUsed) vstarUsed.set(true)
-   if (board.gxUsed) gxUsed.set(true)
-   if (board.pokemonHidden) pokemonHidden.set(true)
-   if (board.prizesFlipped) prizesFlipped.set(true)
-   if (board.handRevealed) handRevealed.set(true)
-})
-
-socket.on('deckLoaded', ({ deck }) => {
-   reload(deck)
-})
+   // the moved cards as we get to see them in their new pile
+   const shownCards = ({ count, cards }) => cards || hiddenCards(count)
 
-socket.on('boardReset', () => {
-   reset()
-})
-
-socket.on('cardsMoved', ({ cards, from, to }) => {
-   const pile1 = getPile(from)
-   const pile2 = getPile(to)
-
-   for (const id of cards) {
-      pile2.push(removeCard(id, pile1))
+   const removeSlot = (slot) => {
+      if (active.get() === slot) active.set(null)
+      else bench.remove(slot)
    }
-})
 
-socket.on('slotsMoved', ({ slots, to }) => {
-   const pile = getPile(to)
-
-   for (const id of slots) {
-      const slot = findSlot(id)
-      removeSlot(slot)
-
-      pile.merge([
-         ...slot.trainer.get(),
-         ...slot.energy.get(),
-         ...slot.pokemon.get()
-      ])
+   // Special Conditions go away on the Bench
+   const benchActive = () => {
+      active.get().conditions.set([])
+      bench.add(active.get())
    }
-})
 
-socket.on('cardsBenched', ({ cards, from }) => {
-   const pile = getPile(from)
-
-   for (const { cardId, slotId } of cards) {
-      const card = removeCard(cardId, pile)
-      bench.add(slot(card, slotId))
+   const events = {
+      boardState: ({ board }) => {
+         reload(0)
+
+         fill(deck, board.deck)
+         fill(hand, board.hand)
+         fill(prizes, board.prizes)
+         fill(discard, board.discard)
+         fill(lz, board.lz)
+         fill(table, board.table)
+         fill(pickup, board.pickup)
+
+         const importSlot = (data) => {
+            const p = slot(null, data.id)
+            fill(p.pokemon, data.pokemon)
+            fill(p.energy, data.energy)
+            fill(p.trainer, data.trainer)
+            p.damage.set(data.damage)
+            p.marker.set(data.marker)
+            p.conditions.set(data.conditions || [])
+            return p
+         }
+
+         for (const e of board.bench) {
+            bench.add(importSlot(e))
+         }
+
+         if (board.active) active.set(importSlot(board.active))
+         stadium.set(board.stadium)
+
+         vstarUsed.set(board.vstarUsed)
+         gxUsed.set(board.gxUsed)
+         pokemonHidden.set(board.pokemonHidden)
+         prizesFlipped.set(board.prizesFlipped)
+         handRevealed.set(board.handRevealed)
+      },
+
+      // the cards come along in our own replay only
+      deckLoaded: ({ count, cards }) => {
+         reload(count)
+         if (cards) fill(deck, cards)
+      },
+
+      boardReset: ({ count, cards }) => {
+         reload(count)
+         if (cards) fill(deck, cards)
+      },
+
+      cardsMoved: ({ from, to, ...move }) => {
+         takeCards(getPile(from), move)
+         const target = getPile(to)
+         const cards = shownCards(move)
+
+         if (target === stadium) stadium.set(cards[0])
+         else target.merge(cards)
+      },
+
+      slotsMoved: ({ slots, to }) => {
+         const pile = getPile(to)
+
+         for (const id of slots) {
+            const slot = findSlot(id)
+            removeSlot(slot)
+
+            const cards = [
+               ...slot.trainer.get(),
+               ...slot.energy.get(),
+               ...slot.pokemon.get()
+            ]
+            pile.merge(isPublic(to) ? cards : hiddenCards(cards.length))
+         }
+      },
+
+      cardsBenched: ({ from, slots, ...move }) => {
+         takeCards(getPile(from), move)
+         const cards = shownCards(move)
+
+         slots.forEach((slotId, i) => {
+            bench.add(slot(cards[i], slotId))
+         })
+      },
+
+      activeBenched: () => {
+         benchActive()
+         active.set(null)
+      },
+
+      cardPromoted: ({ slotId, from, ...move }) => {
+         takeCards(getPile(from), move)
+         const [ card ] = shownCards(move)
+
+         if (active.get()) benchActive()
+         active.set(slot(card, slotId))
+      },
+
+      slotPromoted: ({ slotId }) => {
+         const pokemon = bench.get().find(s => s.id === slotId)
+         bench.remove(pokemon)
+         if (active.get()) benchActive()
+         active.set(pokemon)
+      },
+
+      retreated: ({ slotId, targetId, energy }) => {
+         const slot = findSlot(slotId)
+         discard.merge(takeCards(slot.energy, { ids: energy }))
+
+         const target = findSlot(targetId)
+         bench.remove(target)
+         benchActive()
+         active.set(target)
+      },
+
+      cardsEvolved: ({ slotId, from, ...move }) => {
+         takeCards(getPile(from), move)
+         findSlot(slotId).pokemon.merge(shownCards(move))
+      },
+
+      cardsAttached: ({ slotId, from, ...move }) => {
+         const slot = findSlot(slotId)
+         takeCards(getPile(from), move)
+
+         for (const card of shownCards(move)) {
+            if (card.card_type === 'trainer') slot.trainer.push(card)
+            else slot.energy.push(card)
+         }
+      },
+
+      damageUpdated: ({ slotId, damage }) => {
+         const slot = findSlot(slotId)
+         slot.damage.set(damage)
+      },
+
+      markerUpdated: ({ slotId, state }) => {
+         const slot = findSlot(slotId)
+         slot.marker.set(state)
+      },
+
+      conditionsUpdated: ({ slotId, conditions }) => {
+         const slot = findSlot(slotId)
+         slot.conditions.set(conditions)
+      },
+
+      slotDiscarded: ({ slotId }) => {
+         const slot = findSlot(slotId)
+         removeSlot(slot)
+      },
+
+      stadiumPlayed: ({ from, ...move }) => {
+         takeCards(getPile(from), move)
+         stadium.set(shownCards(move)[0])
+      },
+
+      // cards turned face up come with their data, face down ones become hidden again
+
+      pokemonToggle: ({ hidden, slots }) => {
+         pokemonHidden.set(hidden)
+
+         // the cards are there when we get to see them (in our own replay even when hidden)
+         for (const s of [ active.get(), ...bench.get() ]) {
+            if (!s) continue
+            if (slots) fill(s.pokemon, slots.find(data => data.id === s.id)?.pokemon || [])
+            else fill(s.pokemon, s.pokemon.get().length)
+         }
+      },
+
+      prizeToggle: ({ flipped, cards }) => {
+         prizesFlipped.set(flipped)
+         fill(prizes, cards || prizes.get().length)
+      },
+
+      handToggle: ({ revealed, cards }) => {
+         handRevealed.set(revealed)
+         fill(hand, cards || hand.get().length)
+      }
    }
-})
-
-socket.on('activeBenched', () => {
-   const slot = active.get()
-   active.set(null)
-   bench.add(slot)
-})
 
-socket.on('cardPromoted', ({ cardId, slotId, from }) => {
-   const card = removeCard(cardId, getPile(from))
-   if (active.get()) bench.add(active.get())
-   active.set(slot(card, slotId))
-})
+   /* helper */
 
-socket.on('slotPromoted', ({ slotId }) => {
-   const pokemon = bench.get().find(s => s.id === slotId)
-   bench.remove(pokemon)
-   if (active.get()) bench.add(active.get())
-   active.set(pokemon)
-})
+   const slotRegex = /^([0-9a-z-]{36}).(pokemon|trainer|energy)$/i
 
-socket.on('cardsEvolved', ({ slotId, cards, from }) => {
-   const slot = findSlot(slotId)
-   const pile = getPile(from)
+   function getPile (name) {
+      let regexRes = null
 
-   for (const id of cards) {
-      const card = removeCard(id, pile)
-      slot.pokemon.push(card)
-   }
-})
+      if (name === 'hand') return hand
+      else if (name === 'deck') return deck
+      else if (name === 'prizes') return prizes
+      else if (name === 'discard') return discard
+      else if (name === 'lz') return lz
+      else if (name === 'table') return table
+      else if (name === 'pickup') return pickup
 
-socket.on('cardsAttached', ({ slotId, cards, from }) => {
-   const slot = findSlot(slotId)
-   const pile = getPile(from)
+      else if (regexRes = slotRegex.exec(name)) {
+         const id = regexRes[1]
+         const type = regexRes[2]
+         const slot = findSlot(id)
+         return slot[type]
+      }
 
-   for (const id of cards) {
-      const card = removeCard(id, pile)
-      if (card.card_type === 'trainer') slot.trainer.push(card)
-      else slot.energy.push(card)
+      else if (name === 'stadium') return stadium
    }
-})
 
-socket.on('damageUpdated', ({ slotId, damage }) => {
-   const slot = findSlot(slotId)
-   slot.damage.set(damage)
-})
+   return { ...b, reload, events }
+}
 
-socket.on('markerUpdated', ({ slotId, state }) => {
-   const slot = findSlot(slotId)
-   slot.marker.set(state)
-})
+export const opponent = opponentBoard()
 
-socket.on('slotDiscarded', ({ slotId }) => {
-   const slot = findSlot(slotId)
-   removeSlot(slot)
-})
+export const {
+   cards, deck, hand, prizes, discard, lz,
+   bench, active, stadium, table, pickup,
+   vstarUsed, gxUsed,
+   prizesFlipped, handRevealed, pokemonHidden,
+   reset, findSlot
+} = opponent
+
+for (const [event, handler] of Object.entries(opponent.events)) {
+   socket.on(event, handler)
+}
 
-socket.on('stadiumPlayed', ({ cardId, from }) => {
-   const card = removeCard(cardId, getPile(from))
-   stadium.set(card)
+socket.on('stadiumPlayed', () => {
    // discard your own stadium (if applicable) as a response
    discardStadium()
 })
 
-socket.on('pokemonToggle', ({ hidden }) => {
-   pokemonHidden.set(hidden)
-})
-
-socket.on('prizeToggle', ({ flipped }) => {
-   prizesFlipped.set(flipped)
+socket.on('leftRoom', () => {
+   opponent.reload(0)
 })
 
-socket.on('handToggle', ({ revealed }) => {
-   handRevealed.set(revealed)
+// a dropped opponent keeps their seat, and their board, until they come back
+socket.on('opponentLeft', ({ reason }) => {
+   if (reason === 'left') opponent.reload(0)
 })
-
-/* helper */
-
-const slotRegex = /^([0-9a-z-]{36}).(pokemon|trainer|energy)$/i
-
-function getPile (name) {
-   let regexRes = null
-
-   if (name === 'hand') return hand
-   else if (name === 'deck') return deck
-   else if (name === 'prizes') return prizes
-   else if (name === 'discard') return discard
-   else if (name === 'lz') return lz
-   else if (name === 'table') return table
-   else if (name === 'pickup') return pickup
-
-   else if (regexRes = slotRegex.exec(name)) {
-      const id = regexRes[1]
-      const type = regexRes[2]
-      const slot = findSlot(id)
-      return slot[type]
-   }
-
-   else if (name === 'stadium') return stadium
-}
\ No newline at end of file
@@ -1,40 +1,71 @@
 import { get, post } from '$lib/util/fetch-web.js'
+import { autoMulligan } from './settings.js'
 import { board } from './custom/board.js'
 import { pile, slot } from './custom/cards.js'
 import { writable } from './custom/writable.js'
-import { share, react, publishLog } from './connection.js'
+import { storable } from './custom/storable.js'
+import { react, room } from './connection.js'
+import { publishLog } from './gameLog.js'
+import { share } from './sync.js'
+import { shufflePile, lockReason } from './shuffle.js'
+import { record, checkpoint, clearHistory } from './history.js'
+import { turn } from './turn.js'
 import { fixOld } from './oldCards.js'
+import { parseDecklist } from '$lib/util/decklist.js'
+import { enrichCards } from '$lib/util/carddb.js'
 import { s } from '$lib/util/strings.js'
 import {
    logMove, logSlotMove, logPickup,
    logBenched, logPromoted, logStadium,
-   logAttachment, logEvolve
+   logAttachment, logEvolve,
+   pileName
 } from './logger.js'
 
 export const {
    cards, deck, hand, prizes, discard, lz,
    bench, active, stadium, table, pickup,
    vstarUsed, gxUsed,
+   energyAttached, supporterPlayed, stadiumPlayed, retreated, resetTurnFlags,
    prizesFlipped, handRevealed, pokemonHidden,
-   reset, exportBoard, findSlot
+   reset, exportPublicBoard, findSlot,
+   cardById, isPublic,
+   snapshot, restore
 } = board()
 
 export function importDeck (txt, cb, rd = false) {
+   fetchDeck(txt, (res) => {
+      loadDeck(res.cards, rd)
+      cb(res)
+   }, rd)
+}
+
+// the cards of a decklist, without loading them (e.g. to check them first)
+// read locally when the importer can't be reached, without the card data it adds
+export function fetchDeck (txt, cb, rd = false) {
    const callback = (res) => {
+      enrichCards(res.cards)
       fixOld(res.cards)
-      cards.set(res.cards)
-      reset()
-
       cb(res)
-      share('deckLoaded', { deck: res.cards })
-      publishLog(rd ? 'random deck ⚆ _ ⚆' : 'Imported deck')
    }
 
    if (rd) get('/api/dm/random', callback)
-   else post(`/api/dm/import`, { input: txt }, callback)
+   else post(`/api/dm/import`, { input: txt }, callback, () => callback(parseDecklist(txt)))
+}
+
+export function loadDeck (list, rd = false) {
+   cards.set(list)
+   reset()
+   clearHistory()
+
+   share('deckLoaded', { count: deck.get().length })
+   publishLog(rd ? 'random deck ⚆ _ ⚆' : 'Imported deck', { type: 'deck' })
 }
 
+// returns the number of cards drawn, null if the deck can't be drawn from for now
 export function draw (count = 1, setup = false) {
+   if (!setup && locked(deck)) return null
+   if (!setup) record(`Draw ${count} ${s('card', count)}`)
+
    const cards = []
    for (let i = 0; i < count; i++) {
       if (deck.get().length) {
@@ -46,11 +77,16 @@ export function draw (count = 1, setup = false) {
 
    if (!setup) {
       share('cardsMoved', { cards, from: 'deck', to: 'hand' })
-      publishLog(`Drew ${count} ${s('card', count)}`)
+      publishLog(`Drew ${count} ${s('card', count)}`, { type: 'draw', from: 'Deck', to: 'Hand' })
    }
+   return cards.length
 }
 
+// resolves to whether the cards could be picked up
 export function pick (source, count, options = {}) {
+   if (locked(source)) return false
+   record(`Pick up ${count} ${s('card', count)} from ${pileName(source.name)}`)
+
    const cards = []
 
    for (let i = 0; i < count; i++) {
@@ -63,11 +99,128 @@ export function pick (source, count, options = {}) {
 
    share('cardsMoved', { cards, from: source.name, to: 'pickup' })
    logPickup(count, source.name, options)
+   return true
 }
 
-export function shuffle () {
-   deck.shuffle()
-   publishLog('Shuffled Deck')
+export async function shuffle () {
+   if (locked(deck)) return
+
+   const step = checkpoint('Shuffle Deck')
+   if (!await shufflePile(deck)) return
+   step.keep()
+   publishLog('Shuffled Deck', { type: 'shuffle', to: 'Deck' })
+}
+
+/**
+ * shuffles all the cards of a pile into the deck, which is only shared once the shuffle went
+ * through, the cards going back otherwise
+ */
+export async function shuffleIntoDeck (source) {
+   if (locked(deck, source) || !source.get().length) return
+
+   const name = source === pickup ? 'the picked up cards' : pileName(source.name)
+   const step = checkpoint(`Shuffle ${name} into Deck`)
+   const cards = source.get().map(card => card._id)
+   deck.merge(source.get())
+   source.clear()
+
+   if (!await shufflePile(deck)) return step.revert()
+   step.keep()
+
+   share('cardsMoved', { cards, from: source.name, to: 'deck' })
+   publishLog(`Shuffled ${name} into Deck`)
+}
+
+/* setup */
+
+// resolves to whether the deck could be shuffled
+export async function draw7andPutPrizes () {
+   reset()
+
+   if (!await shufflePile(deck)) return false
+   draw(7, true)
+
+   for (let i = 0; i < 6; i++) {
+      const card = deck.pop()
+      if (card) prizes.push(card)
+   }
+   return true
+}
+
+/**
+ * draws the opening hand and the prizes, resolves to the number of mulligans
+ * (always 0 without the auto mulligan setting, the player mulligans by hand then),
+ * null when the deck could not be shuffled
+ */
+export async function setupBoard () {
+   // without a Basic Pokémon in the deck there would be no end to the mulligans
+   if (!autoMulligan.get() || !cards.get().some(card => card.stage === 'basic')) {
+      return await draw7andPutPrizes() ? 0 : null
+   }
+
+   let mulligans = 0
+   if (!await draw7andPutPrizes()) return null
+
+   while (!hand.get().some(card => card.stage === 'basic')) {
+      mulligans++
+      if (!await draw7andPutPrizes()) return null
+   }
+
+   return mulligans
+}
+
+/* rules, pointed out but not enforced as some cards break them */
+
+// the latest warning about something against the rules: { text, time }
+export const ruleWarning = writable(null)
+
+function warn (text) {
+   ruleWarning.set({ text, time: Date.now() })
+}
+
+// warns when one of the piles can't be used for now (see lockReason in shuffle.js)
+export function locked (...piles) {
+   const reason = piles.map(pile => pile?.name && lockReason(pile.name)).find(Boolean)
+   if (reason) warn(reason)
+   return !!reason
+}
+
+// a second time in a turn is allowed (some cards let you), but pointed out
+function usedThisTurn (flag, what) {
+   if (flag.get()) warn(`You already ${what} this turn`)
+   flag.set(true)
+}
+
+// the number of the current turn, null while there is no game going on
+function currentTurn () {
+   const { phase, number } = turn.get()
+   return phase === 'setup' ? null : number
+}
+
+// what is odd about evolving the Pokémon of a slot into card (Rare Candy skipping a Stage, ...)
+function evolutionWarnings (slot, card) {
+   const top = slot.pokemon.get().at(-1)
+   if (card.card_type !== 'pokemon') return [ `${card.name} is not a Pokémon` ]
+
+   const warnings = []
+
+   if (card.stage === 'basic') warnings.push(`${card.name} is a Basic Pokémon`)
+   else if (card.evolves_from && card.evolves_from !== top?.name) {
+      const between = cards.get().find(c => c.name === card.evolves_from)
+      if (between && between.evolves_from === top?.name) warnings.push(`${card.name} skips ${between.name} (Rare Candy?)`)
+      else warnings.push(`${card.name} evolves from ${card.evolves_from}, not from ${top?.name}`)
+   }
+
+   const now = currentTurn()
+   // turn 1 and 2 being the first turns of the two players
+   if (now !== null && now <= 2) warnings.push('No evolving during the first turn')
+   else if (now !== null && slot.playedTurn === now) warnings.push(`${top?.name} came into play this turn`)
+
+   return warnings
+}
+
+function isSupporter (card) {
+   return card.card_type === 'trainer' && (card.trainer_type === 'supporter' || card.stage === 'supporter')
 }
 
 export let cardSelection = pile()
@@ -99,14 +252,28 @@ export function selectSlot (slot, push = false) {
    else slotSelection.remove(slot)
 }
 
-/** move the selection to a "pile"  */
+/**
+ * move the selection to a "pile"
+ * with options.shuffle, the move is only shared once the shuffle went through, and undone otherwise
+ */
+
+export async function moveSelection (pile, options = {}) {
+   if (locked(pile, selectionPile)) return
 
-export function moveSelection (pile, options = {}) {
+   const label = `${options.shuffle ? 'Shuffle into' : 'Move to'} ${pileName(pile.name)}`
+   let step = null
+   const done = [] // sharing and logging the move
 
    if (cardSelection.get().length) {
       if (selectionPile === pile) return
       if (selectionPile.get && !selectionPile.get().length) return // user cleared the pile with a shortcut while dragging cards from there, which are now not in there anymore
 
+      step = checkpoint(label)
+
+      if (selectionPile === hand && (pile === discard || pile === table) && cardSelection.get().some(isSupporter)) {
+         usedThisTurn(supporterPlayed, 'played a Supporter')
+      }
+
       const ids = []
       const swapIds = []
 
@@ -142,15 +309,20 @@ export function moveSelection (pile, options = {}) {
          else pile.push(card)
       }
 
-      share('cardsMoved', { cards: ids, from, to: pile.name })
-      if (swapIds.length) {
-         if (from === 'stadium') share('stadiumPlayed', { cardId: swapIds[0], from: pile.name })
-         else share('cardsMoved', { cards: swapIds, from: pile.name, to: from })
-      }
+      const moved = cardSelection.get()
+      done.push(() => {
+         share('cardsMoved', { cards: ids, from, to: pile.name })
+         if (swapIds.length) {
+            if (from === 'stadium') share('stadiumPlayed', { cardId: swapIds[0], from: pile.name })
+            else share('cardsMoved', { cards: swapIds, from: pile.name, to: from })
+         }
 
-      logMove(cardSelection.get(), from, pile.name, options)
+         logMove(moved, from, pile.name, options)
+      })
 
    } else if (slotSelection.get().length) {
+      step = checkpoint(label)
+
       const ids = []
 
       for (const slot of slotSelection.get()) {
@@ -166,18 +338,27 @@ export function moveSelection (pile, options = {}) {
          ])
       }
 
-      share('slotsMoved', { slots: ids, to: pile.name })
-      logSlotMove(slotSelection.get(), pile.name, options)
+      const moved = slotSelection.get()
+      done.push(() => {
+         share('slotsMoved', { slots: ids, to: pile.name })
+         logSlotMove(moved, pile.name, options)
+      })
    }
 
-   if (options.shuffle) pile.shuffle()
    resetSelection()
+   if (!step) return
+
+   if (options.shuffle && !await shufflePile(pile)) return step.revert()
+   step.keep()
+   for (const action of done) action()
 }
 
 export function toBench () {
    if (cardSelection.get().length) {
       if (selectionPile.get && !selectionPile.get().length) return // see moveSelection
 
+      record('Move to Bench')
+
       const ids = []
 
       const from = selectionPile === 'stadium' ? 'stadium' : selectionPile.name
@@ -187,6 +368,7 @@ export function toBench () {
          else selectionPile.remove(card)
 
          const s = slot(card)
+         s.playedTurn = currentTurn()
          bench.add(s)
          ids.push({ cardId: card._id, slotId: s.id })
       }
@@ -194,10 +376,12 @@ export function toBench () {
       share('cardsBenched', { cards: ids, from })
       logBenched(cardSelection.get(), from)
 
-   } else if (slotSelection.get().length) {
+   } else if (slotSelection.get().includes(active.get())) {
+      record('Move to Bench')
 
       for (const slot of slotSelection.get()) {
          if (active.get() === slot) {
+            slot.conditions.set([]) // Special Conditions go away on the Bench
             active.set(null)
             bench.add(slot)
 
@@ -215,6 +399,8 @@ export function toActive () {
       if (cs.length !== 1) return
       if (selectionPile.get && !selectionPile.get().length) return // see moveSelection
 
+      record('Move to Active')
+
       const card = cs[0]
 
       const from = selectionPile === 'stadium' ? 'stadium' : selectionPile.name
@@ -223,10 +409,12 @@ export function toActive () {
       else selectionPile.remove(card)
 
       if (active.get()) {
-         // move the current active out of the way
+         // move the current active out of the way, without its Special Conditions
+         active.get().conditions.set([])
          bench.add(active.get())
       }
       const s = slot(card)
+      s.playedTurn = currentTurn()
       active.set(s)
 
       share('cardPromoted', { cardId: card._id, slotId: s.id, from })
@@ -239,17 +427,55 @@ export function toActive () {
 
       if (slot === a) return
 
+      record('Move to Active')
+
       bench.remove(slot)
-      if (a) bench.add(a)
+      if (a) {
+         a.conditions.set([])
+         bench.add(a)
+         usedThisTurn(retreated, 'retreated')
+      }
       active.set(slot)
 
       share('slotPromoted', { slotId: slot.id })
-      publishLog(`Moved {${slot.name}} into the Active Spot`)
+      publishLog(`Moved {${slot.name}} into the Active Spot`, { type: 'promote', cards: slot.pokemon.get(), from: 'Bench', to: 'Active' })
    }
 
    resetSelection()
 }
 
+// the Retreat Cost of the top card of a slot, as the number of Energy it takes
+export function retreatCost (slot) {
+   return Number(slot?.pokemon.get().at(-1)?.retreat) || 0
+}
+
+/**
+ * retreats the Active Pokémon: discards the given cards of its Energy to pay for it,
+ * and switches it with target, one of the Benched Pokémon
+ */
+export function retreat (energy, target) {
+   const slot = active.get()
+   if (!slot || !bench.get().includes(target)) return
+
+   record('Retreat')
+   usedThisTurn(retreated, 'retreated')
+
+   for (const card of energy) slot.energy.remove(card)
+   discard.merge(energy)
+
+   bench.remove(target)
+   slot.conditions.set([]) // Special Conditions go away on the Bench
+   bench.add(slot)
+   active.set(target)
+
+   share('retreated', { slotId: slot.id, targetId: target.id, energy: energy.map(card => card._id) })
+
+   const paid = energy.length ? `, discarding [${energy.map(card => card.name).join(', ')}]` : ''
+   publishLog(`Retreated {${slot.name}}${paid}, {${target.name}} is now Active`, { type: 'retreat', cards: energy, from: 'Active', to: 'Bench' })
+
+   resetSelection()
+}
+
 export function discardStadium () {
    const st = stadium.get()
    if (st) {
@@ -263,6 +489,9 @@ export function toStadium () {
    if (cardSelection.get().length !== 1 || selectionPile === 'stadium' || !selectionPile.get().length) return
    const card = cardSelection.get()[0]
 
+   record('Play Stadium')
+   if (selectionPile === hand) usedThisTurn(stadiumPlayed, 'played a Stadium')
+
    selectionPile.remove(card)
 
    discardStadium()
@@ -292,16 +521,29 @@ export function startAttachEvolve (evo = false) {
 export function attachSelection (slot) {
    if (!cardSelection.get().length) return
 
+   record(`${evolving.get() ? 'Evolve' : 'Attach to'} ${slot.name}`)
+
    const ids = []
    const from = selectionPile === 'stadium' ? 'stadium' : selectionPile.name
 
+   if (!evolving.get() && from === 'hand' && cardSelection.get().some(card => card.card_type === 'energy')) {
+      usedThisTurn(energyAttached, 'attached an Energy')
+   }
+
    for (const card of cardSelection.get()) {
       if (from === 'stadium') stadium.set(null)
       else selectionPile.remove(card)
 
       ids.push(card._id)
 
-      if (evolving.get()) slot.pokemon.push(card)
+      if (evolving.get()) {
+         for (const warning of evolutionWarnings(slot, card)) {
+            warn(warning)
+            publishLog(`Warning: ${warning}`, { type: 'warning' })
+         }
+         slot.pokemon.push(card)
+         slot.playedTurn = currentTurn()
+      }
       else if (card.card_type === 'trainer') slot.trainer.push(card)
       else slot.energy.push(card)
    }
@@ -317,6 +559,21 @@ export function attachSelection (slot) {
    resetSelection()
 }
 
+/**
+ * returns the top card of an evolved Pokémon to the hand
+ */
+export function devolve (slot) {
+   if (slot.pokemon.get().length < 2) return
+
+   record(`Devolve ${slot.name}`)
+
+   const card = slot.pokemon.pop()
+   hand.push(card)
+
+   share('cardsMoved', { cards: [ card._id ], from: slot.pokemon.name, to: 'hand' })
+   publishLog(`Devolved [${card.name}] into {${slot.name}}, returning it to Hand`, { type: 'devolve', cards: [ card ], from: slot.name, to: 'Hand' })
+}
+
 export function resetSelection () {
    cardSelection.clear()
    selectionPile = null
@@ -329,6 +586,8 @@ export function resetSelection () {
 
 export function toggleMarker () {
    if (!slotSelection.get().length) return
+   record('Toggle Marker')
+
    for (const slot of slotSelection.get()) {
       slot.marker.update(b => !b)
       share('markerUpdated', { slotId: slot.id, state: slot.marker.get() })
@@ -338,21 +597,54 @@ export function toggleMarker () {
 /* full board sharing */
 
 export function shareBoardstate () {
-   const deck = cards.get()
-   if (deck) share('boardState', { cards: deck, board: exportBoard() })
+   if (cards.get()) share('boardState', { board: exportPublicBoard() })
+}
+
+/* our board survives a reload of the page while in a room, the server keeping our seat */
+
+const savedBoard = storable(null, 'board')
+
+// called with every action we share
+export function saveBoard () {
+   savedBoard.set(room.get() ? { roomId: room.get(), cards: cards.get(), board: snapshot() } : null)
+}
+
+function restoreSavedBoard () {
+   const saved = savedBoard.get()
+   // only when the board is gone, not after losing the connection for a moment
+   if (saved?.roomId !== room.get() || cards.get().length) return
+
+   cards.set(saved.cards)
+   restore(saved.board)
 }
 
-react('joinedRoom', () => {
+react('joinedRoom', ({ resumed }) => {
+   if (resumed) restoreSavedBoard()
    shareBoardstate()
 })
 
+react('leftRoom', () => savedBoard.set(null))
+
 react('opponentJoined', () => {
    shareBoardstate()
 })
 
+react('spectatorJoined', () => {
+   shareBoardstate()
+})
+
+// the server could not replay everything the opponent missed while disconnected
+react('playerReconnected', ({ complete }) => {
+   if (!complete) shareBoardstate()
+})
+
 /* functions that let the opponent manipulate our board */
 
+// recorded like our own actions, for undo to go back past it rather than silently wipe it out
 react('oppDamageUpdated', ({ slotId, damage }) => {
    const slot = findSlot(slotId)
+   if (!slot) return
+
+   record(`Damage on ${slot.name} by your opponent`)
    slot.damage.set(damage)
 })
\ No newline at end of file
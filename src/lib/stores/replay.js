@@ -0,0 +1,127 @@
+import { writable } from './custom/writable.js'
+import { socket, react, role } from './connection.js'
+import { opponentBoard } from './opponent.js'
+import { download } from '$lib/util/download.js'
+
+/**
+ * recording of the events both players exchange during a game, and a viewer stepping through them
+ * each recorded event: { from, event, data, time }, from being the role of the player it is about
+ * ('host' or 'guest'), event a game event or 'log' for a structured log entry (see gameLog.js)
+ */
+
+const VERSION = 1
+
+// the boards of the replay viewer
+export const host = opponentBoard()
+export const guest = opponentBoard()
+
+const boards = { host, guest }
+const other = { host: guest, guest: host }
+
+let recording = []
+
+function record (from, event, data) {
+   if (!from) return
+   recording.push({ from, event, data, time: new Date().toISOString() })
+}
+
+function opponentRole () {
+   return role.get() === 'host' ? 'guest' : 'host'
+}
+
+// what we share (see sync.js) and log
+export function recordOwn (event, data) {
+   record(role.get(), event, data)
+}
+
+const gameEvents = Object.keys(host.events).concat('oppDamageUpdated')
+
+// what the opponent shares, or both players when spectating
+socket.onAny((event, data) => {
+   if (gameEvents.includes(event)) record(opponentRole(), event, data)
+   else if (event === 'spectate' && gameEvents.includes(data.event)) record(data.from, data.event, data.data)
+   else if (event === 'logMessage' && data.entry?.actor) record(data.entry.actor, 'log', data.entry)
+})
+
+function restartRecording ({ resumed }) {
+   if (!resumed) recording = []
+}
+
+react('createdRoom', restartRecording)
+react('joinedRoom', restartRecording)
+react('spectatingRoom', restartRecording)
+
+export function saveReplay () {
+   const name = `replay-${new Date().toISOString().slice(0, 19).replace(/:/g, '-')}`
+   download(`${name}.json`, JSON.stringify({ version: VERSION, role: role.get(), events: recording }), 'application/json')
+}
+
+/* viewer */
+
+// the loaded replay: { events, turns: [ { turn, from, index } ], own }, null when not watching one
+// own being the role of the player who saved it, whose board is shown at the bottom
+export const replay = writable(null)
+
+// how many of its events have been applied to the boards
+export const position = writable(0)
+
+function apply ({ from, event, data }) {
+   try {
+      // the only event about the board of the other player
+      if (event === 'oppDamageUpdated') other[from]?.events.damageUpdated(data)
+      else boards[from]?.events[event]?.(data)
+   } catch (e) {
+      console.error(`Could not replay ${event}:`, e)
+   }
+}
+
+// the first event of every turn, from the turn numbers of the log entries
+function findTurns (events) {
+   const turns = []
+   let current = 0
+
+   events.forEach(({ from, event, data }, index) => {
+      if (event !== 'log' || !data.turn || data.turn === current) return
+      current = data.turn
+      turns.push({ turn: data.turn, from: data.turnOf || from, index })
+   })
+
+   return turns
+}
+
+export function loadReplay (text) {
+   const file = JSON.parse(text)
+   if (file.version !== VERSION || !Array.isArray(file.events)) throw new Error('Not a replay file')
+
+   replay.set({ events: file.events, turns: findTurns(file.events), own: file.role === 'guest' ? 'guest' : 'host' })
+   seek(0)
+}
+
+export function closeReplay () {
+   replay.set(null)
+   host.reload(0)
+   guest.reload(0)
+}
+
+/**
+ * shows the boards as they were after the first n events
+ * going forward applies the events in between, going back rebuilds the boards from the start
+ */
+export function seek (n) {
+   const events = replay.get().events
+   n = Math.max(0, Math.min(n, events.length))
+
+   let from = position.get()
+   if (n < from || from === 0) {
+      host.reload(0)
+      guest.reload(0)
+      from = 0
+   }
+
+   for (const e of events.slice(from, n)) apply(e)
+   position.set(n)
+}
+
+export function step (delta) {
+   seek(position.get() + delta)
+}
@@ -2,4 +2,7 @@ import { storable } from './custom/storable.js'
 
 export let autoMulligan = storable(true, 'auto_mulligan')
 export let scale = storable(1.0, 'scale')
-export let darkMode = storable(false, 'dark_mode')
\ No newline at end of file
+export let darkMode = storable(false, 'dark_mode')
+export let deckFormat = storable('standard', 'deck_format')
+// definition of the custom format, like the ones in src/lib/formats (banned cards by set and number)
+export let customFormat = storable({ name: 'Custom', sets: [], regulationMarks: [], banned: [] }, 'custom_format')
\ No newline at end of file
@@ -0,0 +1,320 @@
+import { writable } from './custom/writable.js'
+import { storable } from './custom/storable.js'
+import { chat, react, room, seat } from './connection.js'
+import { publishLog } from './gameLog.js'
+import { share } from './sync.js'
+import { sha256, randomSeed, seededRandom } from '$lib/util/random.js'
+import { shuffle } from '$lib/util/array.js'
+import { s } from '$lib/util/strings.js'
+
+/**
+ * Verifiable shuffling for online games.
+ *  1. before the game, each player commits to a secret seed by sharing its hash (seedCommitted)
+ *  2. shuffle n of a pile starts with a commitment to the order of the pile before it
+ *     (shuffleCommitted), salted with sha256(secret:n) so that it gives nothing away
+ *  3. the opponent answers with fresh randomness for that shuffle (shuffleSeeded), and the pile
+ *     is shuffled from sha256(secret:n) and that randomness
+ * Neither player can steer a shuffle: the order is fixed before the randomness of the opponent is
+ * known, and the opponent can't predict the result without the secret.
+ * Shuffles whose result did not stick (undone, or cancelled as the pile changed in the meantime)
+ * are announced (shufflesUndone). When the game ends the secret is revealed along with every
+ * shuffle (seedRevealed) for the other player to replay.
+ * The seeds and shuffles are kept with the seat across a reload, a player who lost them commits to a
+ * new seed, and both start over with new ones.
+ */
+
+function newGame () {
+   return {
+      secret: null,
+      committing: null, // resolves once our commitment went out
+      opponentCommitment: null,
+      shuffles: [], // ours: { n, pile, before, after, undone }
+      pending: new Map(), // n -> resolves with the randomness of the opponent
+      announced: [], // the opponent's: { n, pile, commitment, seed }
+      opponentUndone: [],
+      opponentRevealed: false,
+      awaitingReveal: false
+   }
+}
+
+let game = newGame()
+let ended = null // the last game, until the opponent revealed their secret too
+
+// whether both players committed to their seeds, which our shuffles wait for
+export const seeded = writable(false)
+
+// the names of our piles waiting for the randomness of the opponent to be shuffled
+export const shuffling = writable([])
+
+// why our shuffles can't be done for now, null when they can
+function shuffleBlocked () {
+   // the page was reloaded, the seeds come back with the seat
+   if (seat.get() && !room.get()) return 'Shuffling has to wait for your seat in the room to be taken back'
+   if (game.secret && !game.opponentCommitment) return 'Shuffling has to wait for your opponent to agree on the seeds'
+   return null
+}
+
+/**
+ * why a pile of ours can't be used for now, null when it can: it waits to be shuffled, or for the
+ * deck (which shuffled cards go into) any shuffle, or shuffles being possible at all
+ */
+export function lockReason (name) {
+   const pending = shuffling.get()
+   if (pending.includes(name) || (name === 'deck' && pending.length)) return 'Wait for the shuffle to go through'
+   if (name === 'deck') return shuffleBlocked()
+   return null
+}
+
+function system (message) {
+   chat.update(msgs => [ ...msgs, { message, time: new Date().toISOString(), type: 'system' } ])
+}
+
+function commit () {
+   if (game.committing) return game.committing
+
+   const g = game
+   g.secret = randomSeed()
+   g.committing = sha256(g.secret).then(commitment => share('seedCommitted', { commitment }))
+   save()
+   return g.committing
+}
+
+/* keeping the game across a reload of the page */
+
+const saved = storable(null, 'shuffles')
+
+function save () {
+   const { secret, opponentCommitment, shuffles, announced, opponentUndone } = game
+   saved.set(room.get() ? { roomId: room.get(), secret, opponentCommitment, shuffles, announced, opponentUndone } : null)
+}
+
+// resolves to whether the game of the room could be taken back
+function restoreSaved () {
+   const s = saved.get()
+   if (s?.roomId !== room.get() || !s.secret) return false
+
+   game = { ...newGame(), ...s, committing: Promise.resolve() }
+   seeded.set(!!game.opponentCommitment)
+
+   // the randomness of the opponent for the shuffles waiting for it is gone
+   const lost = game.shuffles.filter(r => !r.after && !r.undone)
+   for (const record of lost) record.undone = true
+   if (lost.length) share('shufflesUndone', { shuffles: undoneShuffles() })
+   save()
+   return true
+}
+
+function restart () {
+   for (const resolve of game.pending.values()) resolve(null)
+   game = newGame()
+   shuffling.set([])
+   ended = null
+   seeded.set(false)
+   saved.set(null)
+}
+
+function ids (pile) {
+   return pile.get().map(card => card._id)
+}
+
+/**
+ * shuffles one of our piles, resolves to whether it did
+ * against an opponent, it waits for the randomness they send for it, and there is no shuffling
+ * until both committed to their seeds
+ */
+export async function shufflePile (pile) {
+   const blocked = shuffleBlocked()
+   if (blocked) {
+      system(blocked)
+      return false
+   }
+
+   // nobody to check our shuffles (not in a room, or no opponent in it yet)
+   if (!game.secret) {
+      pile.shuffle()
+      return true
+   }
+
+   const g = game
+   const before = ids(pile)
+   const record = { n: g.shuffles.length + 1, pile: pile.name, before, after: null, undone: false }
+   g.shuffles.push(record)
+   save()
+
+   const randomness = new Promise(resolve => g.pending.set(record.n, resolve))
+   shuffling.update(names => [ ...names, pile.name ])
+
+   const salt = await sha256(`${g.secret}:${record.n}`)
+   await g.committing
+   share('shuffleCommitted', { pile: pile.name, n: record.n, commitment: await sha256(`${salt}:${pile.name}:${before.join()}`) })
+
+   const seed = await randomness
+   g.pending.delete(record.n)
+   // the game ended meanwhile, forgetting the pending shuffles
+   if (!seed || g !== game) return false
+
+   const i = shuffling.get().indexOf(pile.name)
+   shuffling.set(shuffling.get().filter((_, j) => j !== i))
+
+   // the pile changed while waiting, shuffling it now would not match the commitment
+   if (ids(pile).join() !== before.join()) {
+      record.undone = true
+      save()
+      share('shufflesUndone', { shuffles: undoneShuffles() })
+      system(`Shuffle #${record.n} was cancelled as the ${pile.name} changed in the meantime`)
+      return false
+   }
+
+   pile.shuffle(seededRandom(`${salt}:${seed}`))
+   record.after = ids(pile)
+   save()
+   return true
+}
+
+function undoneShuffles () {
+   return game.shuffles.filter(r => r.undone).map(r => r.n)
+}
+
+// the number of shuffles we did, for the undo history to come back to
+export function shuffleCount () {
+   return game.shuffles.length
+}
+
+/**
+ * the board went back (or forward again) to when we had done count shuffles:
+ * the results of the later ones are gone, which the opponent is told
+ */
+export function rewindShuffles (count) {
+   const before = undoneShuffles().join()
+
+   for (const record of game.shuffles) {
+      // cancelled ones never had a result
+      if (record.after) record.undone = record.n > count
+   }
+
+   const undone = undoneShuffles()
+   if (undone.join() === before) return
+   save()
+   share('shufflesUndone', { shuffles: undone })
+}
+
+/**
+ * ends the game for the seeds: reveals our secret and starts agreeing on the next ones
+ */
+export function revealShuffles () {
+   if (!game.secret) return
+
+   const g = game
+   const shuffles = g.shuffles.filter(r => r.after || r.undone)
+   share('seedRevealed', { seed: g.secret, shuffles })
+   publishLog(`Revealed the seed of ${shuffles.length} ${s('shuffle', shuffles.length)}`, { type: 'seedReveal' })
+
+   restart()
+   g.awaitingReveal = !g.opponentRevealed
+   ended = g.awaitingReveal ? g : null
+   commit()
+}
+
+// replays the shuffles of the opponent, returns what is wrong with them if anything
+async function verify (g, { seed, shuffles }) {
+   if (await sha256(seed) !== g.opponentCommitment) return 'the seed does not match its commitment'
+
+   for (const record of shuffles) {
+      if (!g.announced.some(a => a.n === record.n)) return `shuffle #${record.n} was never announced`
+   }
+
+   for (const a of g.announced) {
+      const record = shuffles.find(r => r.n === a.n)
+      if (!record) return `shuffle #${a.n} is missing`
+
+      const salt = await sha256(`${seed}:${a.n}`)
+      if (record.pile !== a.pile || await sha256(`${salt}:${a.pile}:${record.before.join()}`) !== a.commitment) {
+         return `shuffle #${a.n} (${a.pile}) does not match its commitment`
+      }
+
+      if (record.undone !== g.opponentUndone.includes(a.n)) return `shuffle #${a.n} was undone without telling`
+      if (record.undone) continue
+
+      const order = [ ...record.before ]
+      shuffle(order, seededRandom(`${salt}:${a.seed}`))
+      if (order.join() !== record.after.join()) return `shuffle #${a.n} (${a.pile}) does not match the seeds`
+   }
+
+   return null
+}
+
+/* agreeing on the seeds with the opponent */
+
+react('joinedRoom', ({ resumed }) => {
+   // still there after losing the connection for a moment, or kept across a reload
+   if (resumed && (game.secret || restoreSaved())) return
+
+   if (resumed) system('The seeds of this game were lost with the reload, agreeing on new ones with your opponent')
+   restart()
+   commit()
+})
+
+react('opponentJoined', () => {
+   restart()
+   commit()
+})
+
+react('opponentLeft', ({ reason }) => {
+   if (reason === 'left') restart()
+})
+
+react('leftRoom', restart)
+
+react('seedCommitted', async ({ commitment }) => {
+   // the opponent lost their seeds (see joinedRoom), their shuffles so far can't be verified anymore
+   if (game.opponentCommitment && game.opponentCommitment !== commitment) {
+      system('Your opponent lost the seeds of this game, agreeing on new ones')
+      restart()
+   }
+
+   const g = game
+   g.opponentCommitment = commitment
+   save()
+   await commit()
+   if (g === game) seeded.set(true)
+})
+
+/* shuffles of the opponent */
+
+react('shuffleCommitted', ({ pile, n, commitment }) => {
+   const seed = randomSeed()
+   game.announced.push({ n, pile, commitment, seed })
+   save()
+   share('shuffleSeeded', { n, seed })
+})
+
+react('shuffleSeeded', ({ n, seed }) => {
+   game.pending.get(n)?.(seed)
+})
+
+react('shufflesUndone', ({ shuffles }) => {
+   const added = shuffles.filter(n => !game.opponentUndone.includes(n))
+   game.opponentUndone = shuffles
+   save()
+   if (added.length) system(`Your opponent undid ${s('shuffle', added.length)} ${added.map(n => `#${n}`).join(', ')}`)
+})
+
+react('seedRevealed', async (data) => {
+   let g
+   if (ended?.awaitingReveal) {
+      g = ended
+      ended = null
+   } else {
+      // the opponent ended the game first, we reveal ours in return
+      g = game
+      g.opponentRevealed = true
+      revealShuffles()
+   }
+
+   const error = await verify(g, data)
+   const count = data.shuffles.filter(r => !r.undone).length
+   const undone = data.shuffles.filter(r => r.undone).map(r => `#${r.n}`)
+
+   if (error) system(`Could not verify the shuffles of your opponent: ${error}`)
+   else system(`Verified the ${count} ${s('shuffle', count)} of your opponent against the agreed seeds` + (undone.length ? `, ${undone.length} more undone (${undone.join(', ')})` : ''))
+})
\ No newline at end of file
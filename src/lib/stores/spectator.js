@@ -0,0 +1,36 @@
+import { socket } from './connection.js'
+import { opponentBoard } from './opponent.js'
+
+/**
+ * boards of both players, as seen by a spectator
+ * the server sends their game events wrapped in a 'spectate' event saying whose they are
+ */
+export const host = opponentBoard()
+export const guest = opponentBoard()
+
+const boards = { host, guest }
+const other = { host: guest, guest: host }
+
+socket.on('spectate', ({ from, event, data }) => {
+   // the only event about the board of the other player
+   if (event === 'oppDamageUpdated') {
+      other[from]?.events.damageUpdated(data)
+      return
+   }
+
+   boards[from]?.events[event]?.(data)
+})
+
+socket.on('playerLeft', ({ role, reason }) => {
+   if (reason === 'left') boards[role]?.reload(0)
+})
+
+socket.on('leftRoom', () => {
+   host.reload(0)
+   guest.reload(0)
+})
+
+socket.on('roomClosed', () => {
+   host.reload(0)
+   guest.reload(0)
+})
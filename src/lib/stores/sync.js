@@ -0,0 +1,64 @@
+import { share as send, room } from './connection.js'
+import { recordOwn } from './replay.js'
+import { deck, hand, prizes, active, bench, cardById, isPublic, exportPublicBoard, saveBoard } from './player.js'
+
+/**
+ * Sharing our board actions without giving away hidden information.
+ * Actions name the cards they move by id, before being shared they are rewritten to
+ * { count, ids, cards }: the ids only when the cards leave a public pile (the opponent
+ * knows them already), their data only when they end up in one. Moves between hidden
+ * piles (deck, hand, face down prizes...) only tell how many cards moved.
+ * Our own replay records the actions with every pile visible instead.
+ */
+
+function moved (ids, from, to, visible) {
+   return {
+      count: ids.length,
+      ids: visible(from) ? ids : undefined,
+      cards: visible(to) ? ids.map(cardById) : undefined
+   }
+}
+
+// visible tells whether the cards of a pile (by name) are given away
+const redact = {
+   cardsMoved: ({ cards, from, to }, visible) => ({ from, to, ...moved(cards, from, to, visible) }),
+
+   cardsBenched: ({ cards, from }, visible) => ({
+      from,
+      slots: cards.map(c => c.slotId),
+      ...moved(cards.map(c => c.cardId), from, `${cards[0]?.slotId}.pokemon`, visible)
+   }),
+
+   cardPromoted: ({ cardId, slotId, from }, visible) => ({ slotId, from, ...moved([ cardId ], from, `${slotId}.pokemon`, visible) }),
+   cardsEvolved: ({ slotId, cards, from }, visible) => ({ slotId, from, ...moved(cards, from, `${slotId}.pokemon`, visible) }),
+   cardsAttached: ({ slotId, cards, from }, visible) => ({ slotId, from, ...moved(cards, from, `${slotId}.energy`, visible) }),
+   stadiumPlayed: ({ cardId, from }, visible) => ({ from, ...moved([ cardId ], from, 'stadium', visible) }),
+
+   // turning cards face up reveals them
+   handToggle: ({ revealed }, visible) => ({ revealed, cards: visible('hand') ? [ ...hand.get() ] : undefined }),
+   prizeToggle: ({ flipped }, visible) => ({ flipped, cards: visible('prizes') ? [ ...prizes.get() ] : undefined }),
+   pokemonToggle: ({ hidden }, visible) => {
+      const slots = [ active.get(), ...bench.get() ].filter(s => s)
+      return {
+         hidden,
+         slots: slots.every(s => visible(s.pokemon.name)) ? slots.map(s => ({ id: s.id, pokemon: [ ...s.pokemon.get() ] })) : undefined
+      }
+   }
+}
+
+const everything = () => true
+
+// the action with nothing hidden, for our own replay
+function unredacted (event, data) {
+   if (event === 'boardState') return { board: exportPublicBoard(everything) }
+   if (event === 'deckLoaded' || event === 'boardReset') return { ...data, cards: [ ...deck.get() ] }
+   return redact[event] ? redact[event](data, everything) : data
+}
+
+export function share (event, data) {
+   send(event, redact[event] ? redact[event](data, isPublic) : data)
+   if (room.get()) {
+      recordOwn(event, unredacted(event, data))
+      saveBoard()
+   }
+}
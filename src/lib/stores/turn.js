@@ -0,0 +1,120 @@
+import { writable } from './custom/writable.js'
+import { react, role, room } from './connection.js'
+import { share } from './sync.js'
+import { publishLog } from './gameLog.js'
+import { draw, resetTurnFlags } from './player.js'
+import { pokemonCheckup } from './conditions.js'
+
+/**
+ * whose turn it is, shared by both players of the room
+ * { first, current, number, phase }: first and current being roles ('host' or 'guest'),
+ * number counting the turns of both players (turn 1 being the one of the first player)
+ * only the current player moves the turn along, the other one follows the turnState events
+ * when playing alone every turn is ours
+ * between two turns both players run the Pokémon Checkup of their Active Pokémon
+ */
+
+export const PHASES = [ 'setup', 'draw', 'main', 'attack', 'between' ]
+
+const initial = { first: null, current: null, number: 0, phase: 'setup' }
+
+export const turn = writable(initial)
+
+// the draw at the start of our last turn: { number, count }, count being the cards drawn
+export const turnDraw = writable(null)
+
+// our role, also when not in a room
+export function ourRole () {
+   return role.get() === 'guest' ? 'guest' : 'host'
+}
+
+function nextPlayer () {
+   if (!room.get()) return ourRole()
+   return turn.get().current === 'host' ? 'guest' : 'host'
+}
+
+export function isOurTurn (state = turn.get()) {
+   return state.current === ourRole() && role.get() !== 'spectator'
+}
+
+function update (changes) {
+   turn.set({ ...turn.get(), ...changes })
+   share('turnState', turn.get())
+}
+
+// the draw phase of our turn: draw for the turn and continue with the main phase
+function beginTurn () {
+   publishLog(`Turn ${turn.get().number}`, { type: 'turnStart' })
+   resetTurnFlags()
+   const count = draw()
+   turnDraw.set({ number: turn.get().number, count })
+   update({ phase: 'main' })
+}
+
+/**
+ * starts the first turn of the game, first being the role of the player going first
+ */
+export function startGame (first = ourRole()) {
+   update({ first, current: first, number: 1, phase: 'draw' })
+   if (isOurTurn()) beginTurn()
+}
+
+// back to the setup, e.g. for a new game
+export function resetTurns () {
+   update(initial)
+}
+
+export function declareAttack () {
+   if (!isOurTurn() || turn.get().phase !== 'main') return
+   update({ phase: 'attack' })
+   publishLog('Attacked', { type: 'attack' })
+}
+
+/**
+ * ends our turn and hands it over, the next player draws for their turn right away
+ */
+export function passTurn () {
+   const state = turn.get()
+   if (!isOurTurn() || state.phase === 'setup') return
+
+   update({ phase: 'between' })
+   publishLog('Passed the turn', { type: 'pass' })
+   pokemonCheckup(true)
+
+   update({ current: nextPlayer(), number: state.number + 1, phase: 'draw' })
+   if (isOurTurn()) beginTurn()
+}
+
+/* synchronisation */
+
+function follow (state) {
+   turn.set(state)
+   if (state.phase === 'between') pokemonCheckup(false)
+   if (isOurTurn() && state.phase === 'draw') beginTurn()
+}
+
+react('turnState', follow)
+
+react('spectate', ({ event, data }) => {
+   if (event === 'turnState') turn.set(data)
+})
+
+// players joining or coming back need to know whose turn it is
+function shareTurn () {
+   if (turn.get().phase !== 'setup') share('turnState', turn.get())
+}
+
+react('opponentJoined', shareTurn)
+react('spectatorJoined', shareTurn)
+
+react('playerReconnected', ({ complete }) => {
+   if (!complete) shareTurn()
+})
+
+react('opponentLeft', ({ reason }) => {
+   if (reason === 'left') turn.set(initial)
+})
+
+react('leftRoom', () => {
+   turn.set(initial)
+})
@@ -1,6 +1,6 @@
-export function shuffle (array) {
+export function shuffle (array, random = Math.random) {
    for (let i = array.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
+      const j = Math.floor(random() * (i + 1));
       [array[i], array[j]] = [array[j], array[i]];
    }
 }
\ No newline at end of file
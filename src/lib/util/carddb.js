@@ -0,0 +1,68 @@
+import data from '$lib/cards/cards.json'
+
+/**
+ * Local card database: the card data bundled with the app (src/lib/cards/cards.json, generated
+ * by build-cards.js before every build), in the shape of the cards of the importer, indexed by set and number
+ * used to complete imported cards and to find cards by name while typing a deck list
+ */
+
+export function cardKey (set, number) {
+   return `${set} ${number}`
+}
+
+const index = new Map(data.map(card => [ cardKey(card.set, card.number), card ]))
+
+// lowercase, without accents, so that "pokemon" finds "Pokémon"
+function normalize (text) {
+   return String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase()
+}
+
+// the text a card is searched by: its name, abilities and attacks
+function searchText (card) {
+   return normalize([ card.name, card.ability_name, card.a1_name, card.a2_name, card.a3_name ].filter(Boolean).join(' '))
+}
+
+const texts = new Map(data.map(card => [ card, searchText(card) ]))
+
+export function findCard (set, number) {
+   return index.get(cardKey(set, number)) || null
+}
+
+// all the prints of a card name
+export function findByName (name) {
+   const wanted = normalize(name)
+   return data.filter(card => normalize(card.name) === wanted)
+}
+
+/**
+ * cards whose name, abilities or attacks contain all the words of the query,
+ * names starting with the query first
+ */
+export function searchCards (query, limit = 10) {
+   const words = normalize(query).split(/\s+/).filter(Boolean)
+   if (!words.length) return []
+
+   const start = words.join(' ')
+   return data
+      .filter(card => words.every(word => texts.get(card).includes(word)))
+      .sort((a, b) => normalize(b.name).startsWith(start) - normalize(a.name).startsWith(start))
+      .slice(0, limit)
+}
+
+/**
+ * completes imported cards with the data of the database, from the same print or
+ * else another print of the same name, without changing what they already have
+ */
+export function enrichCards (cards) {
+   for (const card of cards) {
+      const known = findCard(card.set, card.number) || findByName(card.name)[0]
+      if (!known) continue
+
+      for (const [ key, value ] of Object.entries(known)) {
+         // prints differ in set, number, rarity and regulation mark
+         if ([ 'set', 'number', 'rarity', 'regulation_mark' ].includes(key) && known.set !== card.set) continue
+         if (card[key] === undefined || card[key] === null) card[key] = value
+      }
+   }
+   return cards
+}
\ No newline at end of file
@@ -0,0 +1,81 @@
+/**
+ * Damage of an attack against the opposing Active Pokémon, from the card data:
+ * a1_damage … a3_damage (e.g. "120", "30+", "50×"), types, weakness and resistance
+ * (type letters like "R" or names like "Fire", possibly followed by the modifier, e.g. "R×2")
+ */
+
+export const WEAKNESS_FACTOR = 2
+export const RESISTANCE_VALUE = 30
+
+const TYPES = {
+   grass: 'G',
+   fire: 'R',
+   water: 'W',
+   lightning: 'L',
+   psychic: 'P',
+   fighting: 'F',
+   darkness: 'D',
+   metal: 'M',
+   fairy: 'Y',
+   dragon: 'N',
+   colorless: 'C'
+}
+
+// type letters of a type field, whatever its format
+export function typeLetters (value) {
+   if (!value) return []
+   const list = Array.isArray(value) ? value : String(value).split(/[\s,/]+/)
+
+   return list.flatMap(entry => {
+      const name = String(entry).replace(/[×x*+\-−]?\d+$/i, '').trim()
+      if (!name) return []
+      if (TYPES[name.toLowerCase()]) return [ TYPES[name.toLowerCase()] ]
+      // letters only, possibly several of them ("GW")
+      if (/^[GRWLPFDMYNC]+$/.test(name)) return name.split('')
+      return []
+   })
+}
+
+// the attacks of the top card of a slot: { name, damage, modifier }
+export function attacksOf (card) {
+   const attacks = []
+   if (!card) return attacks
+
+   for (const n of [ 1, 2, 3 ]) {
+      const name = card[`a${n}_name`]
+      if (!name) continue
+
+      const text = String(card[`a${n}_damage`] ?? '')
+      const damage = parseInt(text.replace(/\D+/g, '')) || 0
+      const modifier = text.match(/[+×x\-−]/i)?.[0] || null
+
+      attacks.push({ name, damage, modifier })
+   }
+
+   return attacks
+}
+
+/**
+ * applies weakness and resistance of the defender to the base damage of an attacker
+ * returns { total, weakness, resistance, math }, math being the calculation as text
+ */
+export function calculateDamage (base, attacker, defender) {
+   const types = typeLetters(attacker?.types)
+   const weakness = !!defender && typeLetters(defender.weakness).some(t => types.includes(t))
+   const resistance = !!defender && typeLetters(defender.resistance).some(t => types.includes(t))
+
+   let total = base
+   let math = `${base}`
+
+   if (base > 0 && weakness) {
+      total *= WEAKNESS_FACTOR
+      math += ` ×${WEAKNESS_FACTOR} (Weakness)`
+   }
+   if (base > 0 && resistance) {
+      total = Math.max(0, total - RESISTANCE_VALUE)
+      math += ` −${RESISTANCE_VALUE} (Resistance)`
+   }
+   if (total !== base) math += ` = ${total}`
+
+   return { total, weakness, resistance, math }
+}
\ No newline at end of file
@@ -0,0 +1,124 @@
+/**
+ * Offline parser of deck lists, for when the Limitless importer can't be reached
+ * understands PTCG Live exports and the Limitless text format:
+ *
+ *    Pokémon: 12
+ *    4 Pikachu ex SSP 57
+ *    Trainer: 36
+ *    4 Nest Ball SVI 181
+ *    Energy: 12
+ *    8 Basic {L} Energy SVE 4
+ *
+ * and returns the same shape as the importer: { cards, errors }, the cards missing
+ * what only the card data knows (stage, hp, attacks, ...)
+ */
+
+// PTCG Live promo codes to the ones of Limitless
+const PROMOS = {
+   'PR-SV': 'SVP',
+   'PR-SW': 'SP',
+   'PR-SM': 'SMP',
+   'PR-XY': 'XYP',
+   'PR-BLW': 'BWP',
+   'PR-HS': 'HSP',
+   'PR-DPP': 'DPP',
+   'PR-NP': 'NP'
+}
+
+// basic energy types, with their number in the Scarlet & Violet energy set
+const ENERGY = {
+   G: { name: 'Grass Energy', number: 1 },
+   R: { name: 'Fire Energy', number: 2 },
+   W: { name: 'Water Energy', number: 3 },
+   L: { name: 'Lightning Energy', number: 4 },
+   P: { name: 'Psychic Energy', number: 5 },
+   F: { name: 'Fighting Energy', number: 6 },
+   D: { name: 'Darkness Energy', number: 7 },
+   M: { name: 'Metal Energy', number: 8 },
+   Y: { name: 'Fairy Energy', number: 9 }
+}
+
+const SECTIONS = {
+   pokemon: 'pokemon',
+   pokémon: 'pokemon',
+   trainer: 'trainer',
+   trainers: 'trainer',
+   energy: 'energy'
+}
+
+const headerRegex = /^(pok[ée]mon|trainers?|energy)\s*[:\-–]?\s*\(?\d*\)?$/i
+const lineRegex = /^\*?\s*(\d+)x?\s+(.+?)(?:\s+([A-Z][A-Z0-9]{1,4}(?:-[A-Z]{1,4})?|Energy)\s+([A-Z]{0,4}\d+[a-z]?))?$/
+
+// "Basic {L} Energy", "{L} Energy" or "L Energy" to the name of the energy
+function basicEnergy (name) {
+   const res = /^(?:basic\s+)?\{?([GRWLPFDMY])\}?\s+energy$/i.exec(name)
+   return res ? ENERGY[res[1].toUpperCase()] : Object.values(ENERGY).find(e => e.name.toLowerCase() === name.toLowerCase())
+}
+
+export function parseDecklist (txt) {
+   const cards = []
+   const errors = []
+   let section = null
+
+   for (const raw of txt.split('\n')) {
+      const line = raw.trim()
+      if (!line || /^total cards/i.test(line)) continue
+
+      const header = headerRegex.exec(line)
+      if (header) {
+         section = SECTIONS[header[1].toLowerCase()]
+         continue
+      }
+
+      const res = lineRegex.exec(line)
+      if (!res) {
+         errors.push(`Could not read "${line}"`)
+         continue
+      }
+
+      const [ , count, name, set, number ] = res
+      const energy = basicEnergy(name)
+
+      if (energy) {
+         cards.push({
+            name: energy.name,
+            set: set && set !== 'Energy' ? set : 'SVE',
+            number: set && set !== 'Energy' ? number : String(energy.number),
+            count: Number(count),
+            card_type: 'energy',
+            energy_type: 'basic',
+            region: 'int'
+         })
+         continue
+      }
+
+      if (!set) {
+         errors.push(`No set for "${line}"`)
+         continue
+      }
+      if (!section) {
+         errors.push(`No section (Pokémon, Trainer or Energy) for "${line}"`)
+         continue
+      }
+
+      cards.push({
+         name,
+         set: PROMOS[set] || set,
+         number: PROMOS[set] ? number.replace(/^[A-Z]+(?=\d)/, '') : number, // PR-SV 012 or SV012
+         count: Number(count),
+         card_type: section,
+         stage: null, // unknown without the card data
+         region: 'int'
+      })
+   }
+
+   // the same print listed on several lines
+   const merged = []
+   for (const card of cards) {
+      const same = merged.find(c => c.set === card.set && c.number === card.number && c.name === card.name)
+      if (same) same.count += card.count
+      else merged.push(card)
+   }
+
+   return { cards: merged, errors }
+}
\ No newline at end of file
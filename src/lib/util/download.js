@@ -0,0 +1,11 @@
+// saves text as a file through the browser's download
+export function download (filename, text, type = 'text/plain') {
+   const url = URL.createObjectURL(new Blob([ text ], { type }))
+
+   const a = document.createElement('a')
+   a.href = url
+   a.download = filename
+   a.click()
+
+   setTimeout(() => URL.revokeObjectURL(url))
+}
\ No newline at end of file
@@ -16,7 +16,7 @@ function get (endpoint, callback) {
       })
 }
 
-function post (endpoint, body, callback) {
+function post (endpoint, body, callback, onError = null) {
 
    fetch(target + endpoint, {
       method: 'POST',
@@ -26,8 +26,15 @@ function post (endpoint, body, callback) {
       body: JSON.stringify(body)
 
    })
-      .then(res => res.json())
-      .then(res => callback(res))
+      .then(res => {
+         if (!res.ok) throw new Error(`${endpoint} answered ${res.status}`)
+         return res.json()
+      })
+      // onError is for the request failing, not for errors of the callback
+      .then(res => callback(res), err => {
+         console.error(err)
+         onError?.(err)
+      })
       .catch(err => {
          console.error(err)
       })
@@ -0,0 +1,85 @@
+import rules from '$lib/formats/rules.json'
+import standard from '$lib/formats/standard.json'
+import expanded from '$lib/formats/expanded.json'
+import unlimited from '$lib/formats/unlimited.json'
+
+/**
+ * Deck legality: the construction rules every deck follows, and the cards allowed in a format
+ * formats are data (src/lib/formats): { name, sets, regulationMarks, banned }, no (or empty) lists
+ * meaning no restriction
+ * a card with a regulation mark is legal when its mark is listed, whatever its set, the set list
+ * decides for the cards without one
+ * banned cards are listed by set and number ("NVI 67"), once for every print
+ */
+
+export const FORMATS = { standard, expanded, unlimited }
+
+export function isBasicEnergy (card) {
+   return card.card_type === 'energy' && (card.energy_type === 'basic' || rules.basicEnergy.includes(card.name))
+}
+
+export function isAceSpec (card) {
+   return /ace spec/i.test(card.rarity || '') || rules.aceSpecs.includes(card.name)
+}
+
+export function isRadiant (card) {
+   return card.name.startsWith('Radiant ')
+}
+
+export function isPrismStar (card) {
+   return /(◇|\bPrism Star)$/.test(card.name)
+}
+
+function legalIn (card, format) {
+   if (isBasicEnergy(card)) return true
+   if (format.banned?.includes(`${card.set} ${card.number}`)) return false
+   if (!format.sets?.length && !format.regulationMarks?.length) return true
+
+   if (card.regulation_mark && format.regulationMarks?.length) return format.regulationMarks.includes(card.regulation_mark)
+   return !!format.sets?.includes(card.set)
+}
+
+// total count of the cards matching a filter, and the names of those
+function countOf (cards, filter) {
+   const matching = cards.filter(filter)
+   return {
+      count: matching.reduce((c, card) => c + card.count, 0),
+      names: [ ...new Set(matching.map(card => card.name)) ]
+   }
+}
+
+/**
+ * checks imported cards (each with its count) against the rules and a format
+ * returns the list of problems, empty for a legal deck
+ */
+export function validateDeck (cards, format = standard) {
+   const errors = []
+
+   const total = cards.reduce((c, card) => c + card.count, 0)
+   if (total !== rules.deckSize) errors.push(`Decklist is ${total} cards, not ${rules.deckSize}`)
+
+   // the stage is unknown for decks read offline
+   if (!cards.some(card => card.stage === 'basic' || (card.card_type === 'pokemon' && !card.stage))) errors.push('No Basic Pokémon')
+
+   // copies count by name, whatever the set the prints come from
+   const copies = new Map()
+   for (const card of cards) {
+      if (!isBasicEnergy(card)) copies.set(card.name, (copies.get(card.name) || 0) + card.count)
+   }
+   for (const [ name, count ] of copies) {
+      if (count > rules.copies) errors.push(`${count} copies of ${name}, at most ${rules.copies}`)
+      else if (count > 1 && isPrismStar({ name })) errors.push(`${count} copies of ${name}, Prism Star cards are unique`)
+   }
+
+   const aceSpecs = countOf(cards, isAceSpec)
+   if (aceSpecs.count > 1) errors.push(`${aceSpecs.count} ACE SPEC cards (${aceSpecs.names.join(', ')}), at most 1`)
+
+   const radiants = countOf(cards, isRadiant)
+   if (radiants.count > 1) errors.push(`${radiants.count} Radiant Pokémon (${radiants.names.join(', ')}), at most 1`)
+
+   for (const card of cards) {
+      if (!legalIn(card, format)) errors.push(`${card.name} ${card.set} ${card.number} is not legal in ${format.name}`)
+   }
+
+   return errors
+}
\ No newline at end of file
@@ -0,0 +1,52 @@
+/**
+ * Seeded randomness, so that a shuffle can be replayed and checked by someone else
+ */
+
+// SHA-256 of a string, as hex
+export async function sha256 (text) {
+   const buffer = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text))
+   return [ ...new Uint8Array(buffer) ].map(b => b.toString(16).padStart(2, '0')).join('')
+}
+
+// 256 random bits, as hex
+export function randomSeed () {
+   const bytes = crypto.getRandomValues(new Uint8Array(32))
+   return [ ...bytes ].map(b => b.toString(16).padStart(2, '0')).join('')
+}
+
+// cyrb128: hashes a string into the 128 bits of state sfc32 starts from
+function cyrb128 (str) {
+   let h1 = 1779033703, h2 = 3144134277, h3 = 1013904242, h4 = 2773480762
+   for (let i = 0; i < str.length; i++) {
+      const k = str.charCodeAt(i)
+      h1 = h2 ^ Math.imul(h1 ^ k, 597399067)
+      h2 = h3 ^ Math.imul(h2 ^ k, 2869860233)
+      h3 = h4 ^ Math.imul(h3 ^ k, 951274213)
+      h4 = h1 ^ Math.imul(h4 ^ k, 2716044179)
+   }
+   h1 = Math.imul(h3 ^ (h1 >>> 18), 597399067)
+   h2 = Math.imul(h4 ^ (h2 >>> 22), 2869860233)
+   h3 = Math.imul(h1 ^ (h3 >>> 17), 951274213)
+   h4 = Math.imul(h2 ^ (h4 >>> 19), 2716044179)
+   h1 ^= (h2 ^ h3 ^ h4), h2 ^= h1, h3 ^= h1, h4 ^= h1
+   return [ h1 >>> 0, h2 >>> 0, h3 >>> 0, h4 >>> 0 ]
+}
+
+/**
+ * Math.random replacement returning the same numbers for the same seed (sfc32)
+ */
+export function seededRandom (seed) {
+   let [ a, b, c, d ] = cyrb128(seed)
+
+   return () => {
+      a >>>= 0; b >>>= 0; c >>>= 0; d >>>= 0
+      let t = (a + b) | 0
+      a = b ^ (b >>> 9)
+      b = (c + (c << 3)) | 0
+      c = (c << 21) | (c >>> 11)
+      d = (d + 1) | 0
+      t = (t + d) | 0
+      c = (c + t) | 0
+      return (t >>> 0) / 4294967296
+   }
+}
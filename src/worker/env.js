@@ -0,0 +1,37 @@
+/**
+ * ID generation and Durable Object lookups
+ */
+
+// Generate unique session ID
+export function generateSessionId() {
+  return Math.random().toString(36).substring(2) + Date.now().toString(36);
+}
+
+// Generate unique room ID
+export function generateRoomId() {
+  return Math.random().toString(36).substring(2, 10);
+}
+
+// Seat tokens let a reconnecting player reclaim their seat, so they must not be guessable
+export function generateSeatToken() {
+  return crypto.randomUUID();
+}
+
+// Every Engine.IO session lives in its own Durable Object, addressed by its sid
+export function getSession(env, sessionId) {
+  return env.SESSIONS.get(env.SESSIONS.idFromName(sessionId));
+}
+
+// Rooms are addressed by the room ID handed out to players, so any isolate can reach them
+export function getRoom(env, roomId) {
+  return env.ROOMS.get(env.ROOMS.idFromName(roomId));
+}
+
+// Internal request between the Worker and the Durable Objects
+export async function callObject(stub, action, body = {}) {
+  const response = await stub.fetch(`https://internal/${action}`, {
+    method: 'POST',
+    body: JSON.stringify(body)
+  });
+  return response.json();
+}
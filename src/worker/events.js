@@ -0,0 +1,91 @@
+/**
+ * Catalogue of game events the Worker relays between the players of a room
+ */
+
+// Board actions relayed to the other players in the room.
+// Each entry lists the payload fields the event must carry and their type(s).
+// Cards moving out of sight are only counted: ids name cards the others could already
+// see, cards carries the data of the ones they get to see.
+export const GAME_EVENTS = {
+  deckLoaded: { count: 'number' },
+  boardState: { board: 'object' },
+  boardReset: { count: 'number' },
+  cardsMoved: { from: 'string', to: 'string', count: 'number', ids: 'array|undefined', cards: 'array|undefined' },
+  slotsMoved: { slots: 'array', to: 'string' },
+  cardsBenched: { from: 'string', slots: 'array', count: 'number', ids: 'array|undefined', cards: 'array|undefined' },
+  activeBenched: {},
+  cardPromoted: { slotId: 'string', from: 'string', count: 'number', ids: 'array|undefined', cards: 'array|undefined' },
+  slotPromoted: { slotId: 'string' },
+  retreated: { slotId: 'string', targetId: 'string', energy: 'array' },
+  cardsEvolved: { slotId: 'string', from: 'string', count: 'number', ids: 'array|undefined', cards: 'array|undefined' },
+  cardsAttached: { slotId: 'string', from: 'string', count: 'number', ids: 'array|undefined', cards: 'array|undefined' },
+  damageUpdated: { slotId: 'string', damage: 'number|string' },
+  oppDamageUpdated: { slotId: 'string', damage: 'number|string' },
+  markerUpdated: { slotId: 'string', state: 'boolean' },
+  conditionsUpdated: { slotId: 'string', conditions: 'array' },
+  knockedOut: { slotId: 'string', name: 'string', prizes: 'number' },
+  slotDiscarded: { slotId: 'string' },
+  stadiumPlayed: { from: 'string', count: 'number', ids: 'array|undefined', cards: 'array|undefined' },
+  pokemonToggle: { hidden: 'boolean', slots: 'array|undefined' },
+  prizeToggle: { flipped: 'boolean', cards: 'array|undefined' },
+  handToggle: { revealed: 'boolean', cards: 'array|undefined' },
+
+  // Whose turn it is, sent by the player moving the turn along (see src/lib/stores/turn.js)
+  turnState: { first: 'string|null', current: 'string|null', number: 'number', phase: 'string' },
+
+  // Opening of a game (see src/lib/stores/opening.js): the committed coin flip, the choice
+  // of the player going first and the end of the face down setup
+  coinCommitted: { commitment: 'string' },
+  coinRevealed: { secret: 'string' },
+  firstChosen: { first: 'string' },
+  openingReady: { mulligans: 'number' },
+
+  // Verifiable shuffling (see src/lib/stores/shuffle.js): seed commitments and reveals, the
+  // commitment to every shuffle with the randomness the opponent answers it with, and undone shuffles
+  seedCommitted: { commitment: 'string' },
+  shuffleCommitted: { pile: 'string', n: 'number', commitment: 'string' },
+  shuffleSeeded: { n: 'number', seed: 'string' },
+  shufflesUndone: { shuffles: 'array' },
+  seedRevealed: { seed: 'string', shuffles: 'array' },
+
+  // End of a game and the score of the match (see src/lib/stores/match.js)
+  gameOver: { winner: 'string', reason: 'string' },
+  matchScore: { host: 'number', guest: 'number', bestOf: 'number' }
+};
+
+// Whether an event is in the catalogue (own keys only, not toString, __proto__ and the like)
+export function isGameEvent(eventName) {
+  return Object.hasOwn(GAME_EVENTS, eventName);
+}
+
+export function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+// Returns an error message, or null if the payload matches the event's schema
+export function validateGameEvent(eventName, payload) {
+  const schema = GAME_EVENTS[eventName];
+
+  if (typeOf(payload) !== 'object') {
+    return `Invalid payload for ${eventName}`;
+  }
+
+  for (const [field, types] of Object.entries(schema)) {
+    if (!types.split('|').includes(typeOf(payload[field]))) {
+      return `Invalid field "${field}" for ${eventName}: expected ${types}`;
+    }
+  }
+
+  return null;
+}
+
+// Only forward the fields declared in the catalogue (drops roomId and anything unexpected)
+export function pickGameEventFields(eventName, payload) {
+  const data = {};
+  for (const field of Object.keys(GAME_EVENTS[eventName])) {
+    data[field] = payload[field];
+  }
+  return data;
+}
@@ -0,0 +1,82 @@
+/**
+ * Engine.IO v4 / Socket.IO v4 packet constants and codecs
+ * shared by the Worker entry point and the Durable Objects
+ */
+
+// CORS headers for cross-origin requests
+export const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type',
+  'Access-Control-Allow-Credentials': 'true',
+  'Access-Control-Max-Age': '86400',
+};
+
+// Engine.IO packet types
+export const ENGINE_IO_PACKETS = {
+  OPEN: '0',
+  CLOSE: '1',
+  PING: '2',
+  PONG: '3',
+  MESSAGE: '4',
+  UPGRADE: '5',
+  NOOP: '6'
+};
+
+// Socket.IO packet types
+export const SOCKET_IO_PACKETS = {
+  CONNECT: '0',
+  DISCONNECT: '1',
+  EVENT: '2',
+  ACK: '3',
+  CONNECT_ERROR: '4',
+  BINARY_EVENT: '5',
+  BINARY_ACK: '6'
+};
+
+// Plain text response with CORS headers, the format every polling response uses
+export function textResponse(body, status = 200) {
+  return new Response(body, {
+    status,
+    headers: {
+      ...corsHeaders,
+      'Content-Type': 'text/plain; charset=UTF-8'
+    }
+  });
+}
+
+// Engine.IO MESSAGE packet wrapping a Socket.IO EVENT
+// (room broadcasts carry their sequence number as an extra argument, the way
+// Socket.IO's own connection state recovery appends its offset)
+export function encodeEvent(eventName, data, seq) {
+  return ENGINE_IO_PACKETS.MESSAGE + SOCKET_IO_PACKETS.EVENT +
+    JSON.stringify(seq === undefined ? [eventName, data] : [eventName, data, seq]);
+}
+
+// Engine.IO v4 payloads (several packets in one polling request) are separated by a record separator
+const RECORD_SEPARATOR = '\x1e';
+
+export function encodePayload(packets) {
+  return packets.join(RECORD_SEPARATOR);
+}
+
+export function parseEngineIOPackets(data) {
+  return data
+    .split(RECORD_SEPARATOR)
+    .filter(packet => packet.length > 0)
+    .map(packet => ({ type: packet[0], payload: packet.substring(1) }));
+}
+
+export function parseSocketIOPacket(data) {
+  if (!data) return { type: null, data: null };
+
+  const type = data[0];
+  const payload = data.substring(1);
+
+  try {
+    const parsed = JSON.parse(payload);
+    return { type, data: parsed };
+  } catch (e) {
+    return { type, data: payload };
+  }
+}
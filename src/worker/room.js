@@ -0,0 +1,337 @@
+/**
+ * Durable Object holding a single room: its two seats and fanning events out
+ * to the Session objects of its players. The room is kept in storage so it
+ * survives the object being evicted or the Worker being redeployed.
+ *
+ * Every player holds a seat, identified by a token handed to the client. When
+ * the connection drops the seat is kept for a while, so the client can come back
+ * with a new session, reclaim it and receive the events it missed: broadcasts are
+ * numbered and the last HISTORY_LIMIT of them are kept in storage.
+ *
+ * Any number of spectators can watch beside the two seats. They receive the game
+ * events of both players wrapped in a 'spectate' event telling whose board it is
+ * about, and may only chat if the host allows it.
+ */
+
+import { encodeEvent } from './protocol.js';
+import { isGameEvent } from './events.js';
+import { generateSeatToken, getSession, callObject } from './env.js';
+
+// How often the room checks that the sessions of its players are still alive
+const CLEANUP_INTERVAL = 5 * 60 * 1000;
+
+// A room seats exactly two players, the host who created it and a guest
+const MAX_SEATS = 2;
+
+// How long the seat of a disconnected player is kept for them to reconnect
+const SEAT_RESERVATION = 10 * 60 * 1000;
+
+// How many broadcasts are kept to be replayed to a reconnecting player
+const HISTORY_LIMIT = 200;
+
+// Storage key of a broadcast, zero-padded so that listing returns them in order
+function historyKey(seq) {
+  return `history:${String(seq).padStart(10, '0')}`;
+}
+
+export class Room {
+  constructor(state, env) {
+    this.state = state;
+    this.env = env;
+    this.room = null;
+
+    state.blockConcurrencyWhile(async () => {
+      this.room = (await state.storage.get('room')) || null;
+    });
+  }
+
+  async fetch(request) {
+    const url = new URL(request.url);
+    const body = await request.json();
+
+    switch (url.pathname) {
+      case '/create':
+        return Response.json(await this.create(body.roomId, body.sessionId));
+      case '/join':
+        return Response.json(await this.join(body.sessionId, body.seatToken, body.lastSeq));
+      case '/spectate':
+        return Response.json(await this.spectate(body.sessionId));
+      case '/settings':
+        return Response.json({ ok: await this.updateSettings(body.sessionId, body.settings) });
+      case '/spectatorChat':
+        return Response.json({ ok: await this.spectatorChat(body.sessionId, body.data) });
+      case '/leave':
+        await this.leave(body.sessionId, body.reason);
+        return Response.json({ ok: true });
+      case '/broadcast':
+        await this.broadcastAll(body.messages);
+        return Response.json({ ok: true });
+      default:
+        return new Response('Not Found', { status: 404 });
+    }
+  }
+
+  async save() {
+    if (this.room) {
+      await this.state.storage.put('room', this.room);
+    } else {
+      await this.state.storage.deleteAlarm();
+      await this.state.storage.deleteAll();
+    }
+  }
+
+  findSeat(sessionId) {
+    return this.room.seats.find(seat => seat.sessionId === sessionId);
+  }
+
+  isMember(sessionId) {
+    return !!this.findSeat(sessionId) || this.room.spectators.includes(sessionId);
+  }
+
+  async create(roomId, sessionId) {
+    if (this.room) return { ok: false };
+
+    const seat = { token: generateSeatToken(), role: 'host', sessionId, droppedAt: null };
+    this.room = {
+      id: roomId,
+      seats: [seat],
+      spectators: [],
+      spectatorChat: false,
+      seq: 0,
+      createdAt: Date.now()
+    };
+    await this.save();
+    await this.state.storage.setAlarm(Date.now() + CLEANUP_INTERVAL);
+
+    return { ok: true, seatToken: seat.token, role: seat.role, seq: 0 };
+  }
+
+  // Fails with the error code the client is told about (see JOIN_ERRORS in session.js)
+  async join(sessionId, seatToken, lastSeq) {
+    const room = this.room;
+    if (!room) return { ok: false, error: 'not_found' };
+    if (this.isMember(sessionId)) return { ok: false, error: 'already_in_room' };
+
+    const reserved = seatToken && room.seats.find(seat => seat.token === seatToken);
+    if (reserved) return this.resume(reserved, sessionId, lastSeq);
+
+    // Seats of disconnected players count, they are kept for them
+    if (room.seats.length >= MAX_SEATS) return { ok: false, error: 'room_full' };
+
+    // Normally the guest seat, unless the host left for good
+    const role = room.seats.some(seat => seat.role === 'host') ? 'guest' : 'host';
+    const seat = { token: generateSeatToken(), role, sessionId, droppedAt: null };
+    room.seats.push(seat);
+    await this.save();
+
+    // Notify other players (opponentJoined makes them share their board with us)
+    await this.broadcastAll([
+      { event: 'playerJoined', data: { sessionId, role }, exclude: sessionId },
+      { event: 'opponentJoined', data: { sessionId }, exclude: sessionId, playersOnly: true }
+    ]);
+
+    return { ok: true, seatToken: seat.token, role: seat.role, seq: room.seq };
+  }
+
+  // Spectators have no seat to come back to, a reconnecting spectator simply watches again
+  async spectate(sessionId) {
+    const room = this.room;
+    if (!room) return { ok: false, error: 'not_found' };
+    if (this.isMember(sessionId)) return { ok: false, error: 'already_in_room' };
+
+    room.spectators.push(sessionId);
+    await this.save();
+
+    // The players answer by sending their board again
+    await this.broadcastAll([
+      { event: 'spectatorJoined', data: { sessionId }, exclude: sessionId }
+    ]);
+
+    return { ok: true, spectatorChat: room.spectatorChat, seq: room.seq };
+  }
+
+  async updateSettings(sessionId, settings) {
+    const room = this.room;
+    if (!room || this.findSeat(sessionId)?.role !== 'host') return false;
+
+    room.spectatorChat = !!settings.spectatorChat;
+    await this.save();
+
+    await this.broadcastAll([
+      { event: 'roomSettings', data: { spectatorChat: room.spectatorChat } }
+    ]);
+    return true;
+  }
+
+  async spectatorChat(sessionId, data) {
+    const room = this.room;
+    if (!room || !room.spectators.includes(sessionId) || !room.spectatorChat) return false;
+
+    await this.broadcastAll([{ event: 'chatMessage', data }]);
+    return true;
+  }
+
+  // A player reconnecting with a new session: hand it the seat and replay what it missed.
+  // Without lastSeq the client has no state left (e.g. it reloaded the page), there is nothing to replay onto
+  async resume(seat, sessionId, lastSeq) {
+    const room = this.room;
+    const stateless = !Number.isInteger(lastSeq);
+    const from = stateless ? room.seq + 1 : lastSeq + 1;
+
+    const history = stateless ? new Map() : await this.state.storage.list({ prefix: 'history:', start: historyKey(from) });
+    const missed = [...history.values()].filter(message => message.exclude !== seat.token);
+
+    // Older broadcasts are gone (or the client lost everything), the other players have to send their board again
+    const complete = !stateless && from >= room.seq - HISTORY_LIMIT + 1;
+
+    seat.sessionId = sessionId;
+    seat.droppedAt = null;
+    await this.save();
+
+    console.log(`Session ${sessionId} resumed a seat in room ${room.id}, replaying ${missed.length} event(s)`);
+
+    if (missed.length > 0) {
+      const packets = missed.map(message => encodeEvent(message.event, message.data, message.seq));
+      await callObject(getSession(this.env, sessionId), 'deliver', { packets });
+    }
+
+    await this.broadcastAll([
+      { event: 'playerReconnected', data: { sessionId, role: seat.role, complete }, exclude: sessionId }
+    ]);
+
+    return { ok: true, seatToken: seat.token, role: seat.role, resumed: true, seq: room.seq };
+  }
+
+  // Leaving gives the seat up, any other reason keeps it reserved for a reconnect
+  async leave(sessionId, reason = 'left') {
+    const room = this.room;
+    if (!room) return;
+
+    if (room.spectators.includes(sessionId)) {
+      room.spectators = room.spectators.filter(s => s !== sessionId);
+      await this.save();
+      await this.broadcastAll([
+        { event: 'spectatorLeft', data: { sessionId, reason }, exclude: sessionId }
+      ]);
+      return;
+    }
+
+    const seat = this.findSeat(sessionId);
+    if (!seat) return;
+
+    const others = room.seats.filter(s => s !== seat);
+    if (reason === 'left' && others.length === 0) {
+      await this.close();
+      return;
+    }
+
+    // Sent while the seat still belongs to the session, so it isn't replayed to it either
+    await this.broadcastAll([
+      { event: 'playerLeft', data: { sessionId, role: seat.role, reason }, exclude: sessionId },
+      { event: 'opponentLeft', data: { sessionId, reason }, exclude: sessionId, playersOnly: true }
+    ]);
+
+    if (reason === 'left') {
+      room.seats = others;
+    } else {
+      seat.sessionId = null;
+      seat.droppedAt = Date.now();
+    }
+    await this.save();
+  }
+
+  // Deletes the room once no player is left, sending the spectators away
+  async close() {
+    console.log(`Room ${this.room.id} is empty, deleting it`);
+    await this.broadcastAll([{ event: 'roomClosed', data: {} }]);
+    this.room = null;
+    await this.save();
+  }
+
+  // Periodic cleanup: drop players and spectators whose session is gone, release seats
+  // nobody came back for, the room deletes itself once empty
+  async alarm() {
+    const room = this.room;
+    if (!room) return;
+
+    const members = [
+      ...room.seats.filter(seat => seat.sessionId).map(seat => seat.sessionId),
+      ...room.spectators
+    ];
+    const checks = await Promise.all(members.map(sessionId =>
+      callObject(getSession(this.env, sessionId), 'alive')
+    ));
+
+    for (const [i, sessionId] of members.entries()) {
+      if (checks[i].alive) continue;
+      console.log(`Removing stale session ${sessionId} from room ${room.id}`);
+      await this.leave(sessionId, 'timeout');
+    }
+
+    if (!this.room) return;
+
+    const now = Date.now();
+    room.seats = room.seats.filter(seat => seat.sessionId || now - seat.droppedAt < SEAT_RESERVATION);
+
+    if (room.seats.length === 0) {
+      await this.close();
+      return;
+    }
+
+    await this.state.storage.setAlarm(now + CLEANUP_INTERVAL);
+    await this.save();
+  }
+
+  // Delivers a batch of { event, data, exclude, playersOnly } messages, one delivery per
+  // player or spectator. Each message gets the next sequence number and is kept for replay.
+  async broadcastAll(messages) {
+    const room = this.room;
+    if (!room) return;
+
+    console.log(`Broadcasting to room ${room.id}: ${messages.map(m => m.event).join(', ')}`);
+
+    const numbered = messages.map(message => {
+      const sender = message.exclude && this.findSeat(message.exclude);
+      return {
+        seq: ++room.seq,
+        event: message.event,
+        data: message.data,
+        exclude: sender?.token || null,
+        from: sender?.role || null
+      };
+    });
+
+    const stored = {};
+    for (const message of numbered) stored[historyKey(message.seq)] = message;
+    await this.state.storage.put(stored);
+    await this.state.storage.delete(numbered.map(message => historyKey(message.seq - HISTORY_LIMIT)));
+    await this.save();
+
+    const deliveries = [];
+    for (const seat of room.seats) {
+      if (!seat.sessionId) continue;
+
+      const packets = numbered
+        .filter(message => message.exclude !== seat.token)
+        .map(message => encodeEvent(message.event, message.data, message.seq));
+
+      if (packets.length > 0) {
+        deliveries.push(callObject(getSession(this.env, seat.sessionId), 'deliver', { packets }));
+      }
+    }
+
+    for (const spectatorId of room.spectators) {
+      const packets = numbered
+        .filter((message, i) => messages[i].exclude !== spectatorId && !messages[i].playersOnly)
+        .map(message => isGameEvent(message.event) && message.from
+          ? encodeEvent('spectate', { from: message.from, event: message.event, data: message.data }, message.seq)
+          : encodeEvent(message.event, message.data, message.seq));
+
+      if (packets.length > 0) {
+        deliveries.push(callObject(getSession(this.env, spectatorId), 'deliver', { packets }));
+      }
+    }
+
+    await Promise.all(deliveries);
+  }
+}
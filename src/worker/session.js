@@ -0,0 +1,595 @@
+/**
+ * Durable Object holding a single Engine.IO session: its message queue, its
+ * WebSocket once upgraded, and the room it belongs to. Room events are
+ * forwarded to the Room object.
+ */
+
+import {
+  ENGINE_IO_PACKETS, SOCKET_IO_PACKETS,
+  textResponse, encodeEvent, encodePayload, parseEngineIOPackets, parseSocketIOPacket
+} from './protocol.js';
+import { isGameEvent, validateGameEvent, pickGameEventFields, typeOf } from './events.js';
+import { generateRoomId, getRoom, callObject } from './env.js';
+
+// How long a polling GET is held open when there is nothing to send
+const POLL_TIMEOUT = 20000;
+
+// Reasons a joinRoom can fail, sent to the client with a joinError event
+const JOIN_ERRORS = {
+  not_found: 'Room not found',
+  room_full: 'Room is full',
+  already_in_room: 'Already in a room'
+};
+
+// Heartbeat advertised in the handshake: the server sends a PING every PING_INTERVAL
+// and closes the session if the PONG doesn't arrive within PING_TIMEOUT
+const PING_INTERVAL = 25000;
+const PING_TIMEOUT = 20000;
+
+export class Session {
+  constructor(state, env) {
+    this.state = state;
+    this.env = env;
+    this.session = null;
+
+    // Open WebSocket of this session (probing or upgraded), never persisted
+    this.socket = null;
+    this.upgrading = false;
+
+    // Wakes up the polling GET that is currently held open, if any
+    this.pendingPoll = null;
+
+    // Broadcasts collected while handling one payload, sent to the room in a single call
+    // so a burst of events reaches the other players as one batch
+    this.outbox = [];
+
+    state.blockConcurrencyWhile(async () => {
+      this.session = (await state.storage.get('session')) || null;
+    });
+  }
+
+  async fetch(request) {
+    const url = new URL(request.url);
+    const isWebSocket = request.headers.get('Upgrade') === 'websocket';
+
+    if (url.pathname === '/handshake') {
+      return this.handshake(url.searchParams.get('sid'), isWebSocket);
+    }
+
+    if (url.pathname === '/deliver') {
+      const { packets } = await request.json();
+      await this.deliver(packets);
+      return Response.json({ ok: true });
+    }
+
+    if (url.pathname === '/alive') {
+      return Response.json({ alive: this.isAlive() });
+    }
+
+    if (!this.session) {
+      return textResponse('Session not found', 400);
+    }
+
+    if (isWebSocket) return this.handleUpgradeRequest();
+
+    // Once upgraded, the session no longer accepts polling requests
+    if (this.session.transport === 'websocket') {
+      return textResponse('Bad Request', 400);
+    }
+
+    if (request.method === 'GET') return this.handlePollingGet();
+    if (request.method === 'POST') return this.handlePollingPost(request);
+
+    return textResponse('Bad Request', 400);
+  }
+
+  async save() {
+    await this.state.storage.put('session', this.session);
+  }
+
+  async handshake(sessionId, isWebSocket) {
+    const handshakeData = {
+      sid: sessionId,
+      // a client that connects over WebSocket directly has nothing to upgrade to
+      upgrades: isWebSocket ? [] : ['websocket'],
+      pingInterval: PING_INTERVAL,
+      pingTimeout: PING_TIMEOUT,
+      maxPayload: 1000000
+    };
+
+    this.session = {
+      id: sessionId,
+      connected: false,
+      transport: isWebSocket ? 'websocket' : 'polling',
+      messageQueue: [],
+      roomId: null,
+      spectating: false,
+      awaitingPong: false,
+      lastActivity: Date.now()
+    };
+    await this.save();
+    await this.state.storage.setAlarm(Date.now() + PING_INTERVAL);
+
+    console.log(`Handshake created for session ${sessionId} (${this.session.transport})`);
+
+    // Proper Engine.IO v4 handshake response format
+    const openPacket = ENGINE_IO_PACKETS.OPEN + JSON.stringify(handshakeData);
+
+    if (isWebSocket) {
+      const response = this.acceptWebSocket();
+      this.socket.send(openPacket);
+      return response;
+    }
+
+    return textResponse(openPacket);
+  }
+
+  // Packets pushed to this session by its room
+  async deliver(packets) {
+    if (!this.session) return;
+    this.session.messageQueue.push(...packets);
+    await this.save();
+    this.flush();
+  }
+
+  // Hand queued packets to the client: sent right away over WebSocket,
+  // or by answering the polling GET that is waiting for them
+  flush() {
+    const session = this.session;
+
+    if (!this.socket || session.transport !== 'websocket') {
+      if (session.messageQueue.length > 0) this.wakePoll();
+      return;
+    }
+
+    while (session.messageQueue.length > 0) {
+      this.socket.send(session.messageQueue.shift());
+    }
+  }
+
+  wakePoll() {
+    if (this.pendingPoll) this.pendingPoll();
+  }
+
+  waitForPackets(timeout) {
+    return new Promise(resolve => {
+      const timer = setTimeout(() => this.wakePoll(), timeout);
+
+      this.pendingPoll = () => {
+        clearTimeout(timer);
+        this.pendingPoll = null;
+        resolve();
+      };
+    });
+  }
+
+  acceptWebSocket() {
+    const [client, server] = Object.values(new WebSocketPair());
+
+    server.accept();
+    server.addEventListener('message', (event) => this.handleWebSocketMessage(server, event.data));
+    server.addEventListener('close', () => this.handleWebSocketClose(server));
+    server.addEventListener('error', () => this.handleWebSocketClose(server));
+
+    if (this.socket) this.socket.close(1000, 'Replaced by a new connection');
+    this.socket = server;
+
+    return new Response(null, { status: 101, webSocket: client });
+  }
+
+  // A polling session opening its WebSocket: the client probes it before switching over
+  handleUpgradeRequest() {
+    console.log(`WebSocket upgrade requested for session ${this.session.id}`);
+    return this.acceptWebSocket();
+  }
+
+  async handleWebSocketMessage(socket, data) {
+    const session = this.session;
+    if (!session || socket !== this.socket || typeof data !== 'string') return;
+
+    const packet = { type: data[0], payload: data.substring(1) };
+
+    try {
+      if (packet.type === ENGINE_IO_PACKETS.PING && packet.payload === 'probe') {
+        // Upgrade handshake, step 1: prove the WebSocket works, and release the
+        // held polling GET (with a NOOP) so the client can pause polling
+        socket.send(ENGINE_IO_PACKETS.PONG + 'probe');
+        this.upgrading = true;
+        this.wakePoll();
+        return;
+      }
+
+      if (packet.type === ENGINE_IO_PACKETS.UPGRADE) {
+        // Upgrade handshake, step 2: the client stopped polling, everything goes through the WebSocket now
+        session.transport = 'websocket';
+        this.upgrading = false;
+        console.log(`Session ${session.id} upgraded to websocket`);
+      } else {
+        await this.handlePacket(packet);
+        if (this.session !== session) return; // closed by the packet
+        await this.sendOutbox();
+      }
+
+      session.lastActivity = Date.now();
+      await this.save();
+      this.flush();
+    } catch (error) {
+      console.error(`Error handling WebSocket message for session ${session.id}:`, error);
+    }
+  }
+
+  async handleWebSocketClose(socket) {
+    if (socket !== this.socket) return;
+    this.socket = null;
+    this.upgrading = false;
+    console.log(`WebSocket closed for session ${this.session?.id}`);
+
+    // A failed probe leaves the session on polling, but an upgraded session has no other transport
+    if (this.session?.transport === 'websocket') {
+      await this.disconnect('transport close');
+    }
+  }
+
+  // Heartbeat: send a PING every PING_INTERVAL, close the session when the PONG doesn't come back in time
+  async alarm() {
+    const session = this.session;
+    if (!session) return;
+
+    if (session.awaitingPong) {
+      await this.disconnect('ping timeout');
+      return;
+    }
+
+    session.awaitingPong = true;
+    session.messageQueue.push(ENGINE_IO_PACKETS.PING);
+    await this.save();
+    this.flush();
+
+    await this.state.storage.setAlarm(Date.now() + PING_TIMEOUT);
+  }
+
+  // Asked by the room while cleaning up, in case a session vanished without leaving
+  isAlive() {
+    const session = this.session;
+    return !!session && Date.now() - session.lastActivity < PING_INTERVAL + PING_TIMEOUT;
+  }
+
+  // Ends the session: leaves its room (telling the opponent), closes the transport and forgets everything
+  async disconnect(reason) {
+    const session = this.session;
+    if (!session) return;
+
+    console.log(`Closing session ${session.id}: ${reason}`);
+
+    await this.sendOutbox();
+    if (session.roomId) {
+      await this.callRoom(session.roomId, 'leave', { reason });
+    }
+
+    this.session = null;
+    await this.state.storage.deleteAlarm();
+    await this.state.storage.deleteAll();
+
+    if (this.socket) {
+      this.socket.close(1000, reason);
+      this.socket = null;
+    }
+    this.wakePoll();
+  }
+
+  async handlePollingGet() {
+    const session = this.session;
+    const sid = session.id;
+
+    console.log(`Polling GET for session ${sid}, connected: ${session.connected}, queue length: ${session.messageQueue.length}`);
+
+    session.lastActivity = Date.now();
+
+    // If not connected yet, send CONNECT packet
+    if (!session.connected) {
+      this.connect();
+    }
+
+    // Only one GET may be pending per session, release the previous one
+    this.wakePoll();
+
+    // Long-polling: hold the request until there is something to send
+    // (unless an upgrade is in progress, the client needs its poll back to pause polling)
+    if (session.messageQueue.length === 0 && !this.upgrading) {
+      await this.waitForPackets(POLL_TIMEOUT);
+    }
+
+    // The session may have been closed or upgraded while we were waiting
+    if (this.session !== session) {
+      return textResponse(ENGINE_IO_PACKETS.CLOSE);
+    }
+
+    if (session.messageQueue.length === 0 || session.transport !== 'polling') {
+      return textResponse(ENGINE_IO_PACKETS.NOOP);
+    }
+
+    // Return every queued message in one payload
+    const packets = session.messageQueue.splice(0);
+    await this.save();
+    console.log(`Sending ${packets.length} queued message(s) to session ${sid}`);
+    return textResponse(encodePayload(packets));
+  }
+
+  async handlePollingPost(request) {
+    const session = this.session;
+    const sid = session.id;
+
+    try {
+      const body = await request.text();
+      console.log(`Received POST data from session ${sid}: ${body}`);
+
+      session.lastActivity = Date.now();
+
+      // Parse Engine.IO packets - a payload may hold several, separated by \x1e
+      const packets = parseEngineIOPackets(body);
+
+      for (const packet of packets) {
+        await this.handlePacket(packet);
+        if (this.session !== session) return textResponse('ok'); // closed by the packet
+      }
+      await this.sendOutbox();
+
+      await this.save();
+      this.flush();
+      return textResponse('ok');
+    } catch (error) {
+      console.error(`Error handling POST for session ${sid}:`, error);
+      return textResponse('Internal Server Error', 500);
+    }
+  }
+
+  // Engine.IO packet received from the client, over either transport
+  async handlePacket(packet) {
+    const session = this.session;
+    const sid = session.id;
+
+    console.log(`Engine.IO packet from ${sid}: type=${packet.type}, payload=${packet.payload}`);
+
+    if (packet.type === ENGINE_IO_PACKETS.MESSAGE) {
+      // Handle Socket.IO message
+      const socketIOPacket = parseSocketIOPacket(packet.payload);
+      console.log(`Socket.IO packet from ${sid}: type=${socketIOPacket.type}, data=${JSON.stringify(socketIOPacket.data)}`);
+
+      if (socketIOPacket.type === SOCKET_IO_PACKETS.CONNECT) {
+        if (!session.connected) this.connect();
+      } else if (socketIOPacket.type === SOCKET_IO_PACKETS.DISCONNECT) {
+        await this.disconnect('client namespace disconnect');
+      } else if (socketIOPacket.type === SOCKET_IO_PACKETS.EVENT) {
+        await this.handleSocketIOEvent(socketIOPacket.data);
+      }
+    } else if (packet.type === ENGINE_IO_PACKETS.PONG) {
+      // Heartbeat answered, schedule the next PING
+      session.awaitingPong = false;
+      await this.state.storage.setAlarm(Date.now() + PING_INTERVAL);
+    } else if (packet.type === ENGINE_IO_PACKETS.CLOSE) {
+      await this.disconnect('transport close');
+    } else if (packet.type === ENGINE_IO_PACKETS.PING) {
+      // Respond with PONG
+      session.messageQueue.push(ENGINE_IO_PACKETS.PONG);
+      console.log(`Queued PONG response for session ${sid}`);
+    }
+  }
+
+  // Socket.IO v4 clients expect the id of their socket in the CONNECT packet
+  connect() {
+    const session = this.session;
+    session.connected = true;
+
+    const connectPacket = ENGINE_IO_PACKETS.MESSAGE + SOCKET_IO_PACKETS.CONNECT +
+      JSON.stringify({ sid: session.id });
+    console.log(`Sending CONNECT packet to session ${session.id}: ${connectPacket}`);
+    session.messageQueue.push(connectPacket);
+  }
+
+  emit(eventName, data) {
+    this.session.messageQueue.push(encodeEvent(eventName, data));
+  }
+
+  queueBroadcast(eventName, data, excludeSessionId = null) {
+    this.outbox.push({ event: eventName, data, exclude: excludeSessionId });
+  }
+
+  async sendOutbox() {
+    const messages = this.outbox.splice(0);
+    if (messages.length === 0 || !this.session.roomId) return;
+
+    await this.callRoom(this.session.roomId, 'broadcast', { messages });
+  }
+
+  callRoom(roomId, action, body = {}) {
+    return callObject(getRoom(this.env, roomId), action, {
+      roomId,
+      sessionId: this.session.id,
+      ...body
+    });
+  }
+
+  async handleSocketIOEvent(eventData) {
+    if (!Array.isArray(eventData) || eventData.length === 0) return;
+
+    const session = this.session;
+    const sessionId = session.id;
+    const eventName = eventData[0];
+    const eventPayload = eventData[1] || {};
+
+    console.log(`Socket.IO event from ${sessionId}: ${eventName} ${JSON.stringify(eventPayload)}`);
+
+    // Membership changes must not overtake the events queued before them
+    if (['createRoom', 'joinRoom', 'spectateRoom', 'leaveRoom'].includes(eventName)) {
+      await this.sendOutbox();
+    }
+
+    switch (eventName) {
+      case 'createRoom': {
+        const roomId = generateRoomId();
+        const { ok, seatToken, role, seq } = await this.callRoom(roomId, 'create');
+
+        if (!ok) {
+          console.log(`Room ID ${roomId} already taken, could not create room for session ${sessionId}`);
+          break;
+        }
+
+        session.roomId = roomId;
+        console.log(`Room ${roomId} created for session ${sessionId}`);
+
+        this.emit('createdRoom', { roomId, role, isHost: true, seatToken, seq });
+        break;
+      }
+
+      case 'joinRoom': {
+        // A reconnecting client sends the token of its seat and the last event it received
+        const { roomId: targetRoomId, seatToken, lastSeq } = eventPayload;
+        let result;
+        if (session.roomId) {
+          result = { ok: false, error: 'already_in_room' };
+        } else if (typeof targetRoomId !== 'string' || !targetRoomId) {
+          result = { ok: false, error: 'not_found' };
+        } else {
+          result = await this.callRoom(targetRoomId, 'join', { seatToken, lastSeq });
+        }
+
+        if (result.ok) {
+          session.roomId = targetRoomId;
+          console.log(`Session ${sessionId} ${result.resumed ? 'resumed its seat in' : 'joined'} room ${targetRoomId}`);
+
+          this.emit('joinedRoom', {
+            roomId: targetRoomId,
+            role: result.role,
+            isHost: result.role === 'host',
+            seatToken: result.seatToken,
+            resumed: !!result.resumed,
+            seq: result.seq
+          });
+        } else {
+          console.log(`Failed to join room ${targetRoomId} for session ${sessionId}: ${result.error}`);
+          this.emit('joinError', { code: result.error, message: JOIN_ERRORS[result.error], roomId: targetRoomId });
+        }
+        break;
+      }
+
+      case 'spectateRoom': {
+        const targetRoomId = eventPayload.roomId;
+        let result;
+        if (session.roomId) {
+          result = { ok: false, error: 'already_in_room' };
+        } else if (typeof targetRoomId !== 'string' || !targetRoomId) {
+          result = { ok: false, error: 'not_found' };
+        } else {
+          result = await this.callRoom(targetRoomId, 'spectate');
+        }
+
+        if (result.ok) {
+          session.roomId = targetRoomId;
+          session.spectating = true;
+          console.log(`Session ${sessionId} is spectating room ${targetRoomId}`);
+
+          this.emit('spectatingRoom', {
+            roomId: targetRoomId,
+            role: 'spectator',
+            spectatorChat: result.spectatorChat,
+            seq: result.seq
+          });
+        } else {
+          console.log(`Failed to spectate room ${targetRoomId} for session ${sessionId}: ${result.error}`);
+          this.emit('joinError', { code: result.error, message: JOIN_ERRORS[result.error], roomId: targetRoomId });
+        }
+        break;
+      }
+
+      case 'leaveRoom':
+        if (session.roomId) {
+          await this.callRoom(session.roomId, 'leave', { reason: 'left' });
+          session.roomId = null;
+          session.spectating = false;
+
+          this.emit('leftRoom', {});
+        }
+        break;
+
+      case 'allowSpectatorChat':
+        if (session.roomId) {
+          const { ok } = await this.callRoom(session.roomId, 'settings', {
+            settings: { spectatorChat: !!eventPayload.allowed }
+          });
+          if (!ok) this.rejectEvent(eventName, 'Only the host can change the room settings');
+        }
+        break;
+
+      case 'chatMessage': {
+        if (!session.roomId) break;
+
+        const chatMessage = {
+          message: eventPayload.message,
+          from: sessionId,
+          time: new Date().toISOString(),
+          type: eventPayload.type || 'chat'
+        };
+
+        // The room knows whether the host lets spectators chat
+        if (session.spectating) {
+          await this.sendOutbox();
+          const { ok } = await this.callRoom(session.roomId, 'spectatorChat', { data: chatMessage });
+          if (!ok) this.rejectEvent(eventName, 'The host has not allowed spectators to chat');
+        } else {
+          this.queueBroadcast('chatMessage', chatMessage);
+        }
+        break;
+      }
+
+      case 'logMessage':
+        if (session.spectating) {
+          this.rejectEvent(eventName, 'Spectators cannot send logMessage');
+        } else if (session.roomId) {
+          this.queueBroadcast('logMessage', {
+            log: eventPayload.log,
+            entry: typeOf(eventPayload.entry) === 'object' ? eventPayload.entry : undefined,
+            from: sessionId,
+            time: new Date().toISOString()
+          });
+        }
+        break;
+
+      default:
+        if (isGameEvent(eventName)) {
+          this.relayGameEvent(eventName, eventPayload);
+        } else {
+          console.log(`Rejected unknown event from ${sessionId}: ${eventName}`);
+          this.rejectEvent(eventName, `Unknown event: ${eventName}`);
+        }
+    }
+  }
+
+  relayGameEvent(eventName, eventPayload) {
+    const session = this.session;
+
+    if (!session.roomId) {
+      this.rejectEvent(eventName, `Cannot send ${eventName} outside of a room`);
+      return;
+    }
+
+    if (session.spectating) {
+      this.rejectEvent(eventName, `Spectators cannot send ${eventName}`);
+      return;
+    }
+
+    const error = validateGameEvent(eventName, eventPayload);
+    if (error) {
+      console.log(`Rejected ${eventName} from ${session.id}: ${error}`);
+      this.rejectEvent(eventName, error);
+      return;
+    }
+
+    this.queueBroadcast(eventName, pickGameEventFields(eventName, eventPayload), session.id);
+  }
+
+  // Mirrors the CONNECT_ERROR payload ({ message, data }), but is sent as a regular
+  // event since a real CONNECT_ERROR packet makes socket.io-client tear down the socket
+  rejectEvent(eventName, message) {
+    this.emit('eventRejected', { message, data: { event: eventName } });
+  }
+}
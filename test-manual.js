@@ -28,7 +28,7 @@ async function testSocketIO() {
     const postResponse = await fetch(`http://localhost:8787/socket.io/?EIO=4&transport=polling&sid=${sid}`, {
       method: 'POST',
       headers: { 'Content-Type': 'text/plain' },
-      body: `${eventData.length}:${eventData}`
+      body: eventData // Engine.IO v4 payload: packets separated by \x1e, no length prefix
     });
     const postResult = await postResponse.text();
     console.log('POST response:', postResult);